@@ -1,12 +1,22 @@
 'use strict';
 
 const Homey = require('homey');
+const LibraryProviders = require('./lib/LibraryProviders');
+
+const REQUEST_INTERVAL = 500; // Minimum time between two requests to the library websites
 
 class BibliotheekApp extends Homey.App {
 
   async onInit() {
     this.log('Bibliotheek.be app has been initialized');
 
+    this._clients = new Map(); // API clients per account, keyed by device data id
+    this._requestQueue = Promise.resolve();
+    this._lastRequestAt = 0;
+    this._lanes = new Map(); // Chain of exclusive operations per account
+    this._refreshes = new Map(); // Last queued or running refresh per account: { run, full }
+    this._parserHealth = this.homey.settings.get('parserHealth') || {}; // Last parser check per page section
+
     // Register global flow cards that aren't device-specific
     this._registerFlowCards();
   }
@@ -17,6 +27,154 @@ class BibliotheekApp extends Homey.App {
     this.log('Flow cards will be registered by drivers');
   }
 
+  /**
+   * Get the API client of an account, creating it on first use
+   * @param {string} key - Account key (device data id)
+   * @param {string} providerId - Library provider of the account, the default provider if empty
+   * @returns {LibraryProvider} API client sharing the app's request queue
+   */
+  getClient(key, providerId = null) {
+    if (!this._clients.has(key)) {
+      this._clients.set(key, this.createClient(providerId));
+    }
+
+    return this._clients.get(key);
+  }
+
+  /**
+   * Create a short-lived API client, e.g. for pairing or public library pages
+   * Providers read their options from env.json, e.g. BIBLIOTHEEK_BASE_URL and
+   * BIBLIOTHEEK_AUTH_URL point bibliotheek.be at the local stand-in from mock-server/.
+   * @param {string} providerId - Library provider, the default provider if empty
+   * @returns {LibraryProvider} API client sharing the app's request queue
+   */
+  createClient(providerId = null) {
+    const Provider = LibraryProviders.get(providerId);
+    const client = new Provider(this.homey, this, Provider.optionsFromEnv(Homey.env));
+    client.onParserHealth = (section, health) => this.reportParserHealth(section, health, Provider.displayName);
+    return client;
+  }
+
+  /**
+   * Forget the API client of a deleted account
+   * @param {string} key - Account key (device data id)
+   */
+  removeClient(key) {
+    this._clients.delete(key);
+    this._lanes.delete(key);
+    this._refreshes.delete(key);
+  }
+
+  /**
+   * Get the last parser check per page section
+   * @returns {Object} Health per section: { ok, selector, message, checkedAt }
+   */
+  getParserHealth() {
+    return this._parserHealth;
+  }
+
+  /**
+   * Track the parser health of a page section, alerting once when it breaks
+   * @param {string} section - Section name (loans, reservations, library, lists, extend)
+   * @param {Object} health - { ok, selector, message, checkedAt }
+   * @param {string} providerName - Name of the provider whose page broke, shown in the notification
+   */
+  reportParserHealth(section, health, providerName = LibraryProviders.get().displayName) {
+    const previous = this._parserHealth[section];
+    this._parserHealth[section] = health;
+
+    // Only persist and alert when the state flips, not on every check
+    if (previous && previous.ok === health.ok) return;
+    this.homey.settings.set('parserHealth', this._parserHealth);
+
+    if (health.ok) {
+      if (previous) {
+        this.log(`Parser for ${section} works again`);
+      }
+      return;
+    }
+
+    this.error(`Parser for ${section} broke: ${health.message} (${health.selector})`);
+
+    this.homey.flow.getTriggerCard('scraper_broken').trigger({
+      section,
+      selector: health.selector,
+      message: health.message
+    }).catch(this.error);
+
+    this.homey.notifications.createNotification({
+      excerpt: this.homey.__('errors.parser_broken', { provider: providerName, section, selector: health.selector })
+    }).catch(this.error);
+  }
+
+  /**
+   * Run a request after all earlier ones, at most one every REQUEST_INTERVAL
+   * @param {Function} task - Async function sending one request
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule(task) {
+    const run = this._requestQueue.then(async () => {
+      const wait = this._lastRequestAt + REQUEST_INTERVAL - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => this.homey.setTimeout(resolve, wait));
+      }
+
+      this._lastRequestAt = Date.now();
+      return task();
+    });
+
+    // A failed request must not block the ones after it
+    this._requestQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Run an operation on an account after all earlier operations on it finished
+   * Keeps polls, flow cards and extensions of the same account from racing each other.
+   * @param {string} key - Account key (device data id)
+   * @param {Function} task - Async operation
+   * @returns {Promise<*>} Result of the task
+   */
+  runExclusive(key, task) {
+    const previous = this._lanes.get(key) || Promise.resolve();
+    const run = previous.then(() => task());
+
+    const settled = run.catch(() => {});
+    this._lanes.set(key, settled);
+    settled.then(() => {
+      if (this._lanes.get(key) === settled) {
+        this._lanes.delete(key);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Refresh an account, joining the refresh that is already queued or running
+   * A full refresh doesn't join an incremental one, it is queued to run after it.
+   * @param {string} key - Account key (device data id)
+   * @param {Function} task - Async refresh
+   * @param {Object} options - { full: true } when the task is a full refresh
+   * @returns {Promise<*>} Result of the (shared) refresh
+   */
+  refresh(key, task, { full = false } = {}) {
+    const pending = this._refreshes.get(key);
+    if (pending && (pending.full || !full)) {
+      this.log(`Refresh of ${key} already in flight, joining it`);
+      return pending.run;
+    }
+
+    const run = this.runExclusive(key, task).finally(() => {
+      if (this._refreshes.get(key)?.run === run) {
+        this._refreshes.delete(key);
+      }
+    });
+    this._refreshes.set(key, { run, full });
+
+    return run;
+  }
+
 }
 
 module.exports = BibliotheekApp;
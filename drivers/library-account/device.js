@@ -1,17 +1,70 @@
 'use strict';
 
 const Homey = require('homey');
-const BibliotheekAPI = require('../../lib/BibliotheekAPI');
+const LibraryProvider = require('../../lib/LibraryProvider');
+const LibraryProviders = require('../../lib/LibraryProviders');
+const OpeningHours = require('../../lib/OpeningHours');
+const LoanModel = require('../../lib/LoanModel');
+const LoanDates = require('../../lib/LoanDates');
+const Amounts = require('../../lib/Amounts');
+const NotificationLedger = require('../../lib/NotificationLedger');
+const { AuthenticationError } = require('../../lib/BibliotheekErrors');
+
+// How often the data age is updated while no refresh succeeds
+const DATA_AGE_INTERVAL = 10 * 60 * 1000;
+
+// Adaptive polling: night pause (Brussels time) and the fastest allowed poll
+const NIGHT_START = 23 * 60;
+const NIGHT_END = 7 * 60;
+const MIN_POLL_INTERVAL = 10;
+
+// Expiry reminders wait for the morning instead of firing at midnight
+const REMINDER_START = 7 * 60;
 
 class LibraryAccountDevice extends Homey.Device {
 
   async onInit() {
     this.log('LibraryAccountDevice initialized');
 
-    this.api = new BibliotheekAPI(this.homey);
+    // The app owns the API client and queues its requests with those of other accounts
+    this.providerId = await this.getStoreValue('provider') || LibraryProviders.DEFAULT;
+    this.api = this.homey.app.getClient(this.getData().id, this.providerId);
+
+    // Reuse the cookie session from before the restart
+    const storedSession = await this.getStoreValue('session');
+    if (storedSession) {
+      this.api.restoreSession(storedSession);
+    }
     this._previousDaysRemaining = null;
     this._previousLoans = new Map(); // Track loan states for trigger detection
-    this._pollInterval = null;
+    this._loanStateKnown = false; // Whether _previousLoans reflects real data yet
+    this._unreadAccounts = new Set(); // Accounts whose loan details could not be read last time
+    this._previousReservations = new Map(); // Track reservation states for trigger detection
+    this._unreadHolds = new Set(); // Accounts whose holds could not be read last time
+    this._lastChanceDays = new Map(); // Last return days left per loan at the last check in reminder hours
+    this._pickupDays = new Map(); // Pickup days left per reservation at the last check in reminder hours
+    this._previousOpenAmounts = new Map(); // Track outstanding fines per account
+    this._openingHours = new Map(); // Opening hours per library, keyed by library name from URL
+    this._pollTimeout = null;
+    this._dataAgeInterval = null;
+    this._midnightTimeout = null;
+    this._previousDataAge = null;
+    this._lastError = null; // Last refresh error while showing cached data
+    this._authFailure = await this.getStoreValue('authFailure') || null; // Set while the login is refused
+    this._ledger = new NotificationLedger(await this.getStoreValue('notificationLedger') || {}); // Reminders sent per loan
+
+    // Add capabilities introduced after the device was paired
+    for (const capability of ['open_amount', 'next_library_visit', 'data_age_hours']) {
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability).catch(this.error);
+      }
+    }
+
+    // Load library opening hours from store if available
+    const storedHours = await this.getStoreValue('libraryHours') || {};
+    for (const [libraryName, details] of Object.entries(storedHours)) {
+      this._openingHours.set(libraryName, new OpeningHours(details));
+    }
 
     // Load initial data from store if available
     const storedData = await this.getStoreValue('lastData');
@@ -19,6 +72,22 @@ class LibraryAccountDevice extends Homey.Device {
       await this._processData(storedData, false); // Don't trigger on initial load
     }
 
+    // Keep the data age up to date, also when refreshes fail
+    await this._updateDataAge(false);
+    this._dataAgeInterval = this.homey.setInterval(() => {
+      this._updateDataAge().catch(this.error);
+    }, DATA_AGE_INTERVAL);
+
+    // Count days down at Brussels midnight, without waiting for the next poll
+    this._scheduleMidnightRecompute();
+
+    // Don't retry refused credentials after a restart, wait for a repair
+    if (this._authFailure) {
+      this.log(`Login was refused at ${this._authFailure.failedAt}, waiting for repair`);
+      await this.setUnavailable(this.homey.__('errors.reauthentication_required')).catch(this.error);
+      return;
+    }
+
     // Set up polling
     this._setupPolling();
 
@@ -28,68 +97,356 @@ class LibraryAccountDevice extends Homey.Device {
     });
   }
 
-  _setupPolling() {
-    // Clear existing interval if any
-    if (this._pollInterval) {
-      this.homey.clearInterval(this._pollInterval);
+  /**
+   * Schedule the next poll
+   * @param {Object} settings - Device settings (the new ones while onSettings runs)
+   */
+  _setupPolling(settings = this.getSettings()) {
+    // Clear existing timeout if any
+    if (this._pollTimeout) {
+      this.homey.clearTimeout(this._pollTimeout);
+      this._pollTimeout = null;
     }
 
-    const intervalMinutes = this.getSetting('poll_interval') || 30;
-    const intervalMs = intervalMinutes * 60 * 1000;
+    // No polling while the credentials are refused
+    if (this._authFailure) {
+      this.log('Polling paused, re-authentication required');
+      return;
+    }
 
-    this._pollInterval = this.homey.setInterval(async () => {
+    const delayMinutes = this._getPollDelay(settings);
+
+    this._pollTimeout = this.homey.setTimeout(async () => {
+      this._pollTimeout = null;
       this.log('Polling for data...');
-      await this.refreshData();
-    }, intervalMs);
+      // Always schedule the next poll, also when the refresh itself fails
+      try {
+        await this.refreshData();
+      } catch (err) {
+        this.error(err);
+      } finally {
+        this._setupPolling();
+      }
+    }, delayMinutes * 60 * 1000);
+
+    this.log(`Next poll in ${delayMinutes} minutes`);
+  }
+
+  /**
+   * Work out how long to wait before the next poll
+   * Polls faster on days a loan is due or a reservation is waiting, and slower
+   * overnight, when nothing is borrowed or (optionally) while all libraries are closed.
+   * @param {Object} settings - Device settings
+   * @param {Date} now - Current moment (defaults to now)
+   * @returns {number} Delay in minutes
+   */
+  _getPollDelay(settings, now = new Date()) {
+    const interval = settings.poll_interval || 30;
+    if (settings.adaptive_polling === false) {
+      return interval;
+    }
+
+    // Pause overnight, resume at the start of the morning
+    const local = OpeningHours.localDate(now);
+    if (local.minutes >= NIGHT_START || local.minutes < NIGHT_END) {
+      return Math.max((NIGHT_END - local.minutes + 24 * 60) % (24 * 60), interval);
+    }
+
+    const loans = Array.from(this._previousLoans.values());
+    const reservations = Array.from(this._previousReservations.values());
+
+    // Busy day: a loan is due today or tomorrow, or a reservation is waiting
+    if (loans.some(loan => loan.daysLeft !== null && loan.daysLeft >= 0 && loan.daysLeft <= 1) ||
+        reservations.some(reservation => reservation.isReady)) {
+      return Math.max(Math.round(interval / 2), MIN_POLL_INTERVAL);
+    }
+
+    // Nothing borrowed or reserved
+    if (loans.length === 0 && reservations.length === 0) {
+      return interval * 4;
+    }
 
-    this.log(`Polling set up for every ${intervalMinutes} minutes`);
+    // Nothing changes at the desk while every library is closed
+    if (settings.poll_align_opening_hours && this._openingHours.size > 0) {
+      const anyOpen = Array.from(this._openingHours.values())
+        .some(hours => !hours.hasHours() || hours.getState(now).isOpen);
+      if (!anyOpen) {
+        return interval * 2;
+      }
+    }
+
+    return interval;
   }
 
   async onSettings({ oldSettings, newSettings, changedKeys }) {
     this.log('Settings changed:', changedKeys);
 
-    if (changedKeys.includes('poll_interval')) {
-      this._setupPolling();
+    if (changedKeys.some(key => ['poll_interval', 'adaptive_polling', 'poll_align_opening_hours'].includes(key))) {
+      this._setupPolling(newSettings);
+    }
+
+    if (changedKeys.includes('username') || changedKeys.includes('password')) {
+      await this.resetSession();
+
+      // New credentials deserve a new login attempt
+      if (this._authFailure) {
+        await this.clearAuthenticationFailure();
+        this.homey.setTimeout(() => {
+          this.refreshData().catch(err => this.error(err));
+        }, 1000);
+      }
     }
   }
 
   /**
    * Refresh all data from bibliotheek.be
+   * Joins a refresh of this account that is already queued or running.
+   * @param {Object} options - { full: true } to refetch accounts whose activities are unchanged
+   * @returns {Promise<boolean>} True if the refresh succeeded
    */
-  async refreshData() {
+  async refreshData(options = {}) {
+    return this.homey.app.refresh(this.getData().id, () => this._refreshData(options), options);
+  }
+
+  /**
+   * Refresh all data, called from the account's exclusive lane
+   * @param {Object} options - { full: true } to refetch accounts whose activities are unchanged
+   * @returns {Promise<boolean>} True if the refresh succeeded
+   */
+  async _refreshData({ full = false } = {}) {
+    if (this._authFailure) {
+      this.log('Skipping refresh, re-authentication required');
+      return false;
+    }
+
     this.log('Refreshing data...');
 
     try {
       const settings = this.getSettings();
-      const data = await this.api.refreshAllData(settings.username, settings.password);
+      const previousData = full ? null : await this.getStoreValue('lastData');
+      const data = await this.api.refreshAllData(settings.username, settings.password, previousData);
 
-      // Store the data
+      // Store the data and the (possibly renewed) session
       await this.setStoreValue('lastData', data);
+      await this.setStoreValue('session', this.api.serializeSession()).catch(this.error);
+
+      // Update library opening hours (non-critical, at most once a day)
+      await this._refreshLibraryHours(data).catch(err => {
+        this.error('Failed to refresh library hours:', err);
+      });
 
       // Process and update capabilities
       await this._processData(data, true);
 
+      // Apply the auto-extend policy (non-critical)
+      await this._runAutoExtend(data).catch(err => {
+        this.error('Auto-extend failed:', err);
+      });
+
+      // Update loan history (non-critical, at most once a day)
+      await this._refreshLoanHistory(data).catch(err => {
+        this.error('Failed to refresh loan history:', err);
+      });
+
       // Mark device as available
+      this._lastError = null;
+      await this._updateDataAge(false);
+      await this.unsetWarning().catch(this.error);
       await this.setAvailable();
 
       this.log('Data refresh complete');
       return true;
     } catch (error) {
       this.error('Failed to refresh data:', error);
-      await this.setUnavailable(error.message);
+
+      // Stop logging in with refused credentials before the account gets blocked
+      if (error instanceof AuthenticationError && !error.sessionExpired) {
+        await this._openAuthenticationCircuit(error);
+        return false;
+      }
+
+      // Without cached data there is nothing to show
+      const storedData = await this.getStoreValue('lastData');
+      if (!storedData) {
+        await this.setUnavailable(error.message);
+        return false;
+      }
+
+      // Keep showing the cached data, with days remaining recomputed for today
+      this._lastError = error.message;
+      await this._processData(storedData, true);
+      await this._updateDataAge();
+      await this.setWarning(this.homey.__('errors.showing_cached_data', { error: error.message })).catch(this.error);
       return false;
     }
   }
 
+  /**
+   * Recompute days remaining from the stored data at the next Brussels midnight
+   */
+  _scheduleMidnightRecompute() {
+    if (this._midnightTimeout) {
+      this.homey.clearTimeout(this._midnightTimeout);
+    }
+
+    const delay = OpeningHours.nextMidnight().getTime() - Date.now() + 1000;
+    this._midnightTimeout = this.homey.setTimeout(async () => {
+      // In the account's lane, so it can't interleave with a refresh or an extend
+      await this.homey.app.runExclusive(this.getData().id, async () => {
+        const storedData = await this.getStoreValue('lastData');
+        if (storedData) {
+          this.log('New day, recomputing days remaining');
+          await this._processData(storedData, true);
+        }
+      }).catch(this.error);
+
+      this._scheduleMidnightRecompute();
+    }, delay);
+  }
+
+  /**
+   * Update the data_age_hours capability and trigger data_became_stale as it grows
+   * @param {boolean} triggerFlows - Whether to trigger flows
+   */
+  async _updateDataAge(triggerFlows = true) {
+    const data = await this.getStoreValue('lastData');
+    if (!data || !data.lastUpdated) return;
+
+    const ageHours = Math.round((Date.now() - new Date(data.lastUpdated).getTime()) / (1000 * 60 * 6)) / 10;
+    await this.setCapabilityValue('data_age_hours', ageHours).catch(this.error);
+
+    // The run listener picks the flows whose threshold was just crossed
+    if (triggerFlows && this._previousDataAge !== null && ageHours > this._previousDataAge) {
+      this.homey.flow.getDeviceTriggerCard('data_became_stale')
+        .trigger(this, {
+          age_hours: ageHours,
+          error: this._lastError || ''
+        }, {
+          age_hours: ageHours,
+          previous_age_hours: this._previousDataAge
+        })
+        .catch(this.error);
+    }
+
+    this._previousDataAge = ageHours;
+  }
+
+  /**
+   * Stop polling after a refused login until the device is repaired
+   * @param {Error} error - Authentication error
+   */
+  async _openAuthenticationCircuit(error) {
+    this._authFailure = { failedAt: new Date().toISOString(), message: error.message };
+    await this.setStoreValue('authFailure', this._authFailure).catch(this.error);
+
+    this._setupPolling();
+    await this.resetSession();
+    await this.setUnavailable(this.homey.__('errors.reauthentication_required'));
+
+    this.homey.flow.getDeviceTriggerCard('authentication_failed')
+      .trigger(this, { error: error.message })
+      .catch(this.error);
+
+    this.log(`Login refused (${error.message}), polling paused until repair`);
+  }
+
+  /**
+   * Resume polling after a successful repair
+   */
+  async clearAuthenticationFailure() {
+    if (!this._authFailure) return;
+
+    this._authFailure = null;
+    await this.setStoreValue('authFailure', null).catch(this.error);
+    this._setupPolling();
+    this.log('Authentication restored, polling resumed');
+  }
+
+  /**
+   * Forget the stored session, e.g. after the credentials changed
+   */
+  async resetSession() {
+    this.api.resetSession();
+    await this.setStoreValue('session', null);
+  }
+
+  /**
+   * Fetch opening hours and closing days of every library in the memberships
+   * @param {Object} data - Data from API
+   */
+  async _refreshLibraryHours(data) {
+    const today = OpeningHours.formatDate(OpeningHours.localDate()); // Brussels day, not the server day
+    if (await this.getStoreValue('libraryHoursUpdated') === today) {
+      return;
+    }
+
+    const previousHours = await this.getStoreValue('libraryHours') || {};
+    const libraryHours = {};
+    let complete = true;
+
+    for (const [libraryName, libraryUrl] of Object.entries(data.libraryDetails || {})) {
+      try {
+        const details = await this.api.getLibraryDetails(libraryUrl);
+        libraryHours[libraryName] = details;
+        this._openingHours.set(libraryName, new OpeningHours(details));
+      } catch (err) {
+        // Keep the schedule of the last good fetch and try again on the next refresh
+        this.error(`Failed to refresh hours of ${libraryName}:`, err);
+        complete = false;
+        if (previousHours[libraryName]) {
+          libraryHours[libraryName] = previousHours[libraryName];
+        }
+      }
+    }
+
+    await this.setStoreValue('libraryHours', libraryHours);
+    if (complete) {
+      await this.setStoreValue('libraryHoursUpdated', today);
+    }
+  }
+
+  /**
+   * Fetch new loan history entries per user and merge them into the store
+   * @param {Object} data - Data from API
+   */
+  async _refreshLoanHistory(data) {
+    const today = OpeningHours.formatDate(OpeningHours.localDate());
+    if (await this.getStoreValue('loanHistoryUpdated') === today) {
+      return;
+    }
+
+    const loanHistory = await this.getStoreValue('loanHistory') || {};
+
+    for (const [userId, user] of Object.entries(data.userDetails || {})) {
+      if (!user.loans?.historyUrl) continue;
+
+      const storedHistory = loanHistory[userId] || [];
+      const newEntries = await this.api.getLoanHistory(
+        user.loans.historyUrl,
+        storedHistory.map(entry => entry.id)
+      );
+
+      // History pages are newest first, so new entries go in front
+      loanHistory[userId] = [...newEntries, ...storedHistory];
+      this.log(`Loan history for ${userId}: ${newEntries.length} new, ${loanHistory[userId].length} total`);
+    }
+
+    await this.setStoreValue('loanHistory', loanHistory);
+    await this.setStoreValue('loanHistoryUpdated', today);
+  }
+
   /**
    * Process fetched data and update capabilities
    * @param {Object} data - Data from API
    * @param {boolean} triggerFlows - Whether to trigger Flow cards
    */
   async _processData(data, triggerFlows = true) {
-    const { userDetails, loans } = data;
+    const { userDetails } = data;
     const warningThreshold = this.getSetting('warning_threshold') || 7;
 
+    // Scraped days remaining count from the day of the last successful update
+    const daysSinceUpdate = data.lastUpdated ? OpeningHours.daysSince(data.lastUpdated) : 0;
+
     // Calculate aggregated values
     let minDaysRemaining = null;
     let totalLoans = 0;
@@ -99,97 +456,117 @@ class LibraryAccountDevice extends Homey.Device {
 
     // Build a map of all loans with their details
     const currentLoans = new Map();
+    const currentReservations = new Map();
+    const currentOpenAmounts = new Map();
+    let totalOpenAmount = 0;
 
-    // Process loans from the overview
-    for (const loan of loans || []) {
-      totalLoans++;
+    // Merge the overview and the loan details into loans with a stable id
+    for (const loan of LoanModel.merge(data, LibraryProviders.get(this.providerId))) {
+      // Scraped days are more accurate than the overview due date
+      const daysLeft = LoanDates.daysLeft(loan.daysRemaining, loan.dueDate, daysSinceUpdate);
 
-      // Calculate days remaining
-      const daysLeft = this._calculateDaysRemaining(loan.dueDate);
+      currentLoans.set(loan.id, { ...loan, daysLeft });
 
-      // Track minimum
-      if (minDaysRemaining === null || daysLeft < minDaysRemaining) {
+      totalLoans++;
+      if (daysLeft !== null && (minDaysRemaining === null || daysLeft < minDaysRemaining)) {
         minDaysRemaining = daysLeft;
       }
-
-      // Count expiring soon
-      if (daysLeft <= warningThreshold) {
+      if (daysLeft !== null && daysLeft <= warningThreshold) {
         expiringSoon++;
       }
-
-      // Check extendability
-      if (loan.isRenewable === false) {
+      if (!loan.isExtendable) {
         someNotExtendable = true;
       }
-
-      // Store loan info for trigger detection
-      const loanKey = `${loan.title || ''}|${loan.accountName || ''}`;
-      currentLoans.set(loanKey, {
-        title: loan.title || 'Unknown',
-        author: loan.author || '',
-        daysLeft,
-        libraryName: loan.location?.libraryName || this._extractLibraryFromUrl(loan.location?.libraryUrl) || 'Unknown',
-        userName: loan.accountName || 'Unknown',
-        isExtendable: loan.isRenewable !== false,
-        dueDate: loan.dueDate,
-        extendLoanId: loan.extendLoanId || null
-      });
     }
 
-    // Also check detailed loan info from each user
+    // Per-account fines and reservations
+    const unreadHolds = new Set();
     for (const [userId, user] of Object.entries(userDetails || {})) {
       const reservationCount = user.reservations?.count || 0;
       totalReservations += reservationCount;
 
-      // Process detailed loans if available (has extend_loan_id)
-      if (user.loanDetails) {
-        for (const [key, loanDetail] of Object.entries(user.loanDetails)) {
-          if (!loanDetail.isExtendable) {
-            someNotExtendable = true;
-          }
-
-          // Update days remaining from detailed info (more accurate)
-          if (loanDetail.daysRemaining !== undefined) {
-            const detailKey = `${loanDetail.title}|${user.accountDetails?.userName || ''}`;
-            if (currentLoans.has(detailKey)) {
-              const existingLoan = currentLoans.get(detailKey);
-              existingLoan.daysLeft = loanDetail.daysRemaining;
-              existingLoan.extendLoanId = loanDetail.extendLoanId;
-              existingLoan.isExtendable = loanDetail.isExtendable;
-
-              // Recalculate minimum
-              if (loanDetail.daysRemaining < minDaysRemaining) {
-                minDaysRemaining = loanDetail.daysRemaining;
-              }
-            }
-          }
-        }
+      // Track outstanding fines per account
+      const openAmount = Amounts.parse(user.openAmounts?.amount);
+      totalOpenAmount += openAmount;
+      currentOpenAmounts.set(userId, {
+        amount: openAmount,
+        userName: user.accountDetails?.userName || 'Unknown',
+        libraryName: user.accountDetails?.libraryName || 'Unknown'
+      });
+
+      if (user.reservationDetailsFailed) {
+        unreadHolds.add(userId);
       }
-    }
 
-    // Recalculate expiring soon with accurate data
-    expiringSoon = 0;
-    for (const loan of currentLoans.values()) {
-      if (loan.daysLeft <= warningThreshold) {
-        expiringSoon++;
+      // Process detailed reservations if available (has status and pickup info)
+      for (const reservation of Object.values(user.reservationDetails || {})) {
+        const reservationKey = `${reservation.title}${reservation.holdId}|${user.accountDetails?.userName || ''}`;
+        currentReservations.set(reservationKey, {
+          title: reservation.title || 'Unknown',
+          author: reservation.author || '',
+          status: reservation.status || '',
+          isReady: !!reservation.isReady,
+          pickupLocation: reservation.pickupLocation || reservation.library || 'Unknown',
+          pickupDeadline: reservation.pickupDeadline || '',
+          pickupDaysLeft: reservation.isReady ? LoanDates.daysUntil(reservation.pickupDeadline) : null,
+          queuePosition: reservation.queuePosition ?? null,
+          estimatedWaitDays: null,
+          userName: user.accountDetails?.userName || 'Unknown',
+          accountId: userId
+        });
       }
     }
 
+    // Loans of accounts whose details couldn't be read, now or last time, may have other ids
+    const unreadAccounts = LoanModel.unreadAccounts(data);
+    const uncertainAccounts = new Set([...unreadAccounts, ...this._unreadAccounts]);
+
+    // Work out the last opening day before each due date
+    const nextVisitLoan = this._calculateLastReturnDays(currentLoans);
+
+    // Track queue movement history for wait estimates
+    await this._updateReservationQueue(currentReservations);
+
     // Update capabilities
     await this.setCapabilityValue('days_remaining', minDaysRemaining).catch(this.error);
     await this.setCapabilityValue('loan_count', totalLoans).catch(this.error);
     await this.setCapabilityValue('reservation_count', totalReservations).catch(this.error);
     await this.setCapabilityValue('loans_expiring_soon', expiringSoon).catch(this.error);
     await this.setCapabilityValue('some_not_extendable', someNotExtendable).catch(this.error);
+    await this.setCapabilityValue('open_amount', Math.round(totalOpenAmount * 100) / 100).catch(this.error);
+    await this.setCapabilityValue('next_library_visit', nextVisitLoan
+      ? `${nextVisitLoan.lastReturnDay} (${nextVisitLoan.libraryName})`
+      : '-').catch(this.error);
+
+    // Day countdowns are announced from the morning on, not by the midnight recompute
+    const isReminderTime = OpeningHours.localDate().minutes >= REMINDER_START;
 
     // Trigger flows if enabled
     if (triggerFlows) {
-      await this._checkAndTriggerFlows(currentLoans, minDaysRemaining, totalLoans, warningThreshold);
+      await this._checkAndTriggerFlows(currentLoans, minDaysRemaining, totalLoans, warningThreshold, uncertainAccounts);
+      await this._checkAndTriggerLoanChangeFlows(currentLoans, uncertainAccounts);
+      await this._checkAndTriggerLastChanceFlows(currentLoans, isReminderTime);
+      await this._checkAndTriggerReservationFlows(currentReservations, isReminderTime, unreadHolds);
+      await this._checkAndTriggerFineFlows(currentOpenAmounts, totalOpenAmount);
+    }
+
+    // At night keep comparing with the last daytime state, so the morning check sees the change
+    if (!triggerFlows || isReminderTime) {
+      this._lastChanceDays = new Map(Array.from(currentLoans, ([loanKey, loan]) => [loanKey, loan.lastReturnDaysLeft]));
+      this._pickupDays = new Map(Array.from(currentReservations, ([reservationKey, reservation]) =>
+        [reservationKey, unreadHolds.has(reservation.accountId)
+          ? this._pickupDays.get(reservationKey)
+          : reservation.pickupDaysLeft]));
     }
 
     // Update previous state
     this._previousDaysRemaining = minDaysRemaining;
     this._previousLoans = currentLoans;
+    this._loanStateKnown = true;
+    this._unreadAccounts = unreadAccounts;
+    this._previousReservations = currentReservations;
+    this._unreadHolds = unreadHolds;
+    this._previousOpenAmounts = currentOpenAmounts;
 
     this.log(`Processed: ${totalLoans} loans, ${totalReservations} reservations, min days: ${minDaysRemaining}`);
   }
@@ -197,9 +574,10 @@ class LibraryAccountDevice extends Homey.Device {
   /**
    * Check loan states and trigger appropriate flows
    */
-  async _checkAndTriggerFlows(currentLoans, minDaysRemaining, totalLoans, warningThreshold) {
-    // Trigger: days_changed
-    if (this._previousDaysRemaining !== null && this._previousDaysRemaining !== minDaysRemaining) {
+  async _checkAndTriggerFlows(currentLoans, minDaysRemaining, totalLoans, warningThreshold, uncertainAccounts = new Set()) {
+    // Trigger: days_changed (not when no loan has known days left)
+    if (this._previousDaysRemaining !== null && minDaysRemaining !== null &&
+        this._previousDaysRemaining !== minDaysRemaining) {
       this.log(`Days changed from ${this._previousDaysRemaining} to ${minDaysRemaining}`);
 
       const daysChangedTrigger = this.homey.flow.getDeviceTriggerCard('days_changed');
@@ -209,31 +587,36 @@ class LibraryAccountDevice extends Homey.Device {
       }).catch(this.error);
     }
 
-    // Trigger: loan_expiring and loan_expired
+    // Trigger: loan_expiring and loan_expired, as often as the reminder cadence allows
+    const cadence = this.getSetting('reminder_cadence') || 'once';
+    const milestones = NotificationLedger.parseMilestones(this.getSetting('reminder_milestones'));
+    const isMorning = OpeningHours.localDate().minutes >= REMINDER_START;
+
     for (const [loanKey, loan] of currentLoans) {
-      const previousLoan = this._previousLoans.get(loanKey);
-
-      // Check if loan just crossed the warning threshold
-      if (!previousLoan || (previousLoan.daysLeft > warningThreshold && loan.daysLeft <= warningThreshold)) {
-        // Only trigger if this is a new transition (not on every poll)
-        if (loan.daysLeft <= warningThreshold && loan.daysLeft >= 0) {
-          this.log(`Loan expiring soon: ${loan.title} (${loan.daysLeft} days)`);
-
-          const loanExpiringTrigger = this.homey.flow.getDeviceTriggerCard('loan_expiring');
-          await loanExpiringTrigger.trigger(this, {
-            book_title: loan.title,
-            days_left: loan.daysLeft,
-            library_name: loan.libraryName,
-            user_name: loan.userName
-          }, {
-            days_left: loan.daysLeft // For runListener filtering
-          }).catch(this.error);
-        }
+      // Without a readable label or due date there is nothing to remind about
+      if (loan.daysLeft === null) continue;
+
+      const reminder = { daysLeft: loan.daysLeft, dueDate: LoanModel.dateKey(loan.dueDate), cadence, milestones };
+
+      if (isMorning && loan.daysLeft <= warningThreshold && loan.daysLeft >= 0 &&
+          this._ledger.isDue(loanKey, 'loan_expiring', reminder)) {
+        this.log(`Loan expiring soon: ${loan.title} (${loan.daysLeft} days)`);
+
+        const loanExpiringTrigger = this.homey.flow.getDeviceTriggerCard('loan_expiring');
+        await loanExpiringTrigger.trigger(this, {
+          book_title: loan.title,
+          days_left: loan.daysLeft,
+          library_name: loan.libraryName,
+          user_name: loan.userName
+        }, {
+          days_left: loan.daysLeft // For runListener filtering
+        }).catch(this.error);
+
+        this._ledger.record(loanKey, 'loan_expiring', reminder);
       }
 
-      // Check if loan just became overdue
-      if ((!previousLoan && loan.daysLeft < 0) ||
-          (previousLoan && previousLoan.daysLeft >= 0 && loan.daysLeft < 0)) {
+      // Overdue is reported once per due date
+      if (loan.daysLeft < 0 && this._ledger.isDue(loanKey, 'loan_expired', { ...reminder, cadence: 'once' })) {
         this.log(`Loan overdue: ${loan.title} (${Math.abs(loan.daysLeft)} days overdue)`);
 
         const loanExpiredTrigger = this.homey.flow.getDeviceTriggerCard('loan_expired');
@@ -242,42 +625,276 @@ class LibraryAccountDevice extends Homey.Device {
           days_overdue: Math.abs(loan.daysLeft),
           library_name: loan.libraryName
         }).catch(this.error);
+
+        this._ledger.record(loanKey, 'loan_expired', reminder);
       }
     }
+
+    // Persist the ledger so a restart doesn't repeat or forget reminders
+    this._ledger.prune(currentLoans.keys(), loanId => uncertainAccounts.has(LoanModel.accountIdOf(loanId)));
+    if (this._ledger.changed) {
+      this._ledger.changed = false;
+      await this.setStoreValue('notificationLedger', this._ledger.toJSON()).catch(this.error);
+    }
   }
 
   /**
-   * Calculate days remaining from due date string
-   * @param {string} dueDateStr - Due date in DD/MM/YYYY format
-   * @returns {number} Days remaining (negative if overdue)
+   * Trigger loan_added and loan_returned for loans that appeared or disappeared
+   * @param {Map} currentLoans - Map of all loans keyed by loan id
+   * @param {Set<string>} uncertainAccounts - Accounts whose loan ids may have changed, skipped
    */
-  _calculateDaysRemaining(dueDateStr) {
-    if (!dueDateStr) return 0;
+  async _checkAndTriggerLoanChangeFlows(currentLoans, uncertainAccounts = new Set()) {
+    // Without a previous state every loan would look new
+    if (!this._loanStateKnown) return;
+
+    for (const [loanId, loan] of currentLoans) {
+      if (this._previousLoans.has(loanId) || uncertainAccounts.has(loan.accountId)) continue;
+
+      this.log(`Loan added: ${loan.title} (${loan.userName})`);
+
+      const loanAddedTrigger = this.homey.flow.getDeviceTriggerCard('loan_added');
+      await loanAddedTrigger.trigger(this, {
+        book_title: loan.title,
+        author: loan.author,
+        media_type: loan.loanType,
+        user_name: loan.userName,
+        due_date: LoanModel.formatDate(loan.dueDate),
+        cover: loan.imageSrc
+      }).catch(this.error);
+    }
 
-    try {
-      // Try DD/MM/YYYY format first
-      const parts = dueDateStr.split('/');
-      let dueDate;
+    for (const [loanId, loan] of this._previousLoans) {
+      if (currentLoans.has(loanId) || uncertainAccounts.has(loan.accountId)) continue;
 
-      if (parts.length === 3) {
-        const [day, month, year] = parts.map(Number);
-        dueDate = new Date(year, month - 1, day);
-      } else {
-        // Try ISO format
-        dueDate = new Date(dueDateStr);
+      this.log(`Loan returned: ${loan.title} (${loan.userName})`);
+
+      const loanReturnedTrigger = this.homey.flow.getDeviceTriggerCard('loan_returned');
+      await loanReturnedTrigger.trigger(this, {
+        book_title: loan.title,
+        user_name: loan.userName,
+        days_held: LoanModel.daysHeld(loan) ?? 0
+      }).catch(this.error);
+    }
+  }
+
+  /**
+   * Calculate per loan the last day its library is open on or before the due date
+   * Loans of libraries without known opening hours fall back to the due date itself.
+   * @param {Map} currentLoans - Map of all loans (updated in place)
+   * @returns {Object|null} Loan with the earliest last return day
+   */
+  _calculateLastReturnDays(currentLoans) {
+    const today = OpeningHours.localDate();
+    let nextVisitLoan = null;
+
+    for (const loan of currentLoans.values()) {
+      if (loan.daysLeft === null) {
+        loan.lastReturnDay = '';
+        loan.lastReturnDaysLeft = null;
+        continue;
       }
 
-      if (isNaN(dueDate.getTime())) return 0;
+      const dueDay = OpeningHours.addDays(today, loan.daysLeft);
+      const openingHours = this._openingHours.get(loan.libraryKey);
+      const lastDay = openingHours && openingHours.hasHours()
+        ? openingHours.getLastOpenDay(dueDay) || dueDay
+        : dueDay;
+
+      loan.lastReturnDay = OpeningHours.formatDate(lastDay);
+      loan.lastReturnDaysLeft = OpeningHours.daysBetween(today, lastDay);
+
+      // A last opening day that already passed can't be the next visit (e.g. closed until the due date)
+      if (loan.daysLeft >= 0 && loan.lastReturnDaysLeft >= 0 &&
+          (!nextVisitLoan || loan.lastReturnDaysLeft < nextVisitLoan.lastReturnDaysLeft)) {
+        nextVisitLoan = loan;
+      }
+    }
+
+    return nextVisitLoan;
+  }
+
+  /**
+   * Trigger loan_last_return_day once a day while the last opening day before a due date approaches
+   * @param {Map} currentLoans - Map of all loans
+   * @param {boolean} isReminderTime - Whether it is past the start of the reminder hours
+   */
+  async _checkAndTriggerLastChanceFlows(currentLoans, isReminderTime = true) {
+    if (!isReminderTime) return;
+
+    for (const [loanKey, loan] of currentLoans) {
+      if (loan.daysLeft === null || loan.daysLeft < 0 || loan.lastReturnDaysLeft < 0) continue;
+      if (this._lastChanceDays.get(loanKey) === loan.lastReturnDaysLeft) continue;
+
+      this.log(`Last chance to return ${loan.title}: ${loan.lastReturnDay} (${loan.lastReturnDaysLeft} days)`);
+
+      const lastChanceTrigger = this.homey.flow.getDeviceTriggerCard('loan_last_return_day');
+      await lastChanceTrigger.trigger(this, {
+        book_title: loan.title,
+        last_day: loan.lastReturnDay,
+        days_left: loan.lastReturnDaysLeft,
+        library_name: loan.libraryName,
+        user_name: loan.userName
+      }, {
+        days_left: loan.lastReturnDaysLeft // For runListener filtering
+      }).catch(this.error);
+    }
+  }
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      dueDate.setHours(0, 0, 0, 0);
+  /**
+   * Trigger fine_changed for every account whose outstanding amount changed
+   * @param {Map} currentOpenAmounts - Open amounts keyed by account ID
+   * @param {number} totalOpenAmount - Sum of all open amounts
+   */
+  async _checkAndTriggerFineFlows(currentOpenAmounts, totalOpenAmount) {
+    for (const [accountId, fine] of currentOpenAmounts) {
+      const previousFine = this._previousOpenAmounts.get(accountId);
+      if (!previousFine || previousFine.amount === fine.amount) continue;
+
+      this.log(`Open amount changed for ${fine.userName}: ${previousFine.amount} -> ${fine.amount}`);
+
+      const fineChangedTrigger = this.homey.flow.getDeviceTriggerCard('fine_changed');
+      await fineChangedTrigger.trigger(this, {
+        amount: fine.amount,
+        previous_amount: previousFine.amount,
+        total_amount: Math.round(totalOpenAmount * 100) / 100,
+        user_name: fine.userName,
+        library_name: fine.libraryName
+      }).catch(this.error);
+    }
+  }
 
-      const diffMs = dueDate - today;
-      return Math.floor(diffMs / (1000 * 60 * 60 * 24));
-    } catch {
-      return 0;
+  /**
+   * Persist queue positions and estimate the remaining wait per reservation
+   * @param {Map} currentReservations - Map of all reservations (updated in place)
+   */
+  async _updateReservationQueue(currentReservations) {
+    const storedQueue = await this.getStoreValue('reservationQueue') || {};
+    const queue = {};
+    const now = Date.now();
+
+    for (const [reservationKey, reservation] of currentReservations) {
+      if (reservation.queuePosition === null) continue;
+
+      // Keep the first observation so the estimate is based on the full history
+      const history = storedQueue[reservationKey];
+      const entry = history && history.firstPosition >= reservation.queuePosition
+        ? { ...history, position: reservation.queuePosition }
+        : { firstPosition: reservation.queuePosition, firstSeen: new Date(now).toISOString(), position: reservation.queuePosition };
+      queue[reservationKey] = entry;
+
+      // Estimate wait from the average speed the queue has moved so far
+      const positionsMoved = entry.firstPosition - entry.position;
+      const daysElapsed = (now - new Date(entry.firstSeen).getTime()) / (1000 * 60 * 60 * 24);
+      if (positionsMoved > 0 && daysElapsed > 0) {
+        reservation.estimatedWaitDays = Math.round(entry.position * (daysElapsed / positionsMoved));
+      }
     }
+
+    await this.setStoreValue('reservationQueue', queue).catch(this.error);
+  }
+
+  /**
+   * Check reservation states and trigger pickup flows
+   * @param {Map} currentReservations - Map of all reservations
+   * @param {boolean} isReminderTime - Whether it is past the start of the reminder hours
+   * @param {Set<string>} unreadHolds - Accounts whose holds could not be read, skipped
+   */
+  async _checkAndTriggerReservationFlows(currentReservations, isReminderTime = true, unreadHolds = new Set()) {
+    for (const [reservationKey, reservation] of currentReservations) {
+      // Holds carried over from an earlier refresh say nothing new
+      if (unreadHolds.has(reservation.accountId)) continue;
+
+      const previousReservation = this._previousReservations.get(reservationKey);
+
+      // Trigger: reservation_queue_moved when the queue position changes
+      if (previousReservation &&
+          previousReservation.queuePosition !== null &&
+          reservation.queuePosition !== null &&
+          previousReservation.queuePosition !== reservation.queuePosition) {
+        this.log(`Reservation queue moved: ${reservation.title} (${previousReservation.queuePosition} -> ${reservation.queuePosition})`);
+
+        const queueMovedTrigger = this.homey.flow.getDeviceTriggerCard('reservation_queue_moved');
+        await queueMovedTrigger.trigger(this, {
+          book_title: reservation.title,
+          old_position: previousReservation.queuePosition,
+          new_position: reservation.queuePosition,
+          estimated_days: reservation.estimatedWaitDays ?? -1,
+          user_name: reservation.userName
+        }).catch(this.error);
+      }
+
+      if (!reservation.isReady) continue;
+
+      // Trigger: reservation_ready when a hold becomes available for pickup
+      // (a hold missing after an unread holds page may have been ready all along)
+      if (previousReservation ? !previousReservation.isReady : !this._unreadHolds.has(reservation.accountId)) {
+        this.log(`Reservation ready for pickup: ${reservation.title} at ${reservation.pickupLocation}`);
+
+        const reservationReadyTrigger = this.homey.flow.getDeviceTriggerCard('reservation_ready');
+        await reservationReadyTrigger.trigger(this, {
+          book_title: reservation.title,
+          pickup_location: reservation.pickupLocation,
+          pickup_deadline: reservation.pickupDeadline,
+          user_name: reservation.userName
+        }).catch(this.error);
+      }
+
+      // Trigger: reservation_pickup_expiring once per day while waiting at the desk
+      if (isReminderTime && reservation.pickupDaysLeft !== null && reservation.pickupDaysLeft >= 0 &&
+          this._pickupDays.get(reservationKey) !== reservation.pickupDaysLeft) {
+        this.log(`Reservation pickup expiring: ${reservation.title} (${reservation.pickupDaysLeft} days)`);
+
+        const pickupExpiringTrigger = this.homey.flow.getDeviceTriggerCard('reservation_pickup_expiring');
+        await pickupExpiringTrigger.trigger(this, {
+          book_title: reservation.title,
+          days_left: reservation.pickupDaysLeft,
+          pickup_location: reservation.pickupLocation,
+          pickup_deadline: reservation.pickupDeadline,
+          user_name: reservation.userName
+        }, {
+          days_left: reservation.pickupDaysLeft // For runListener filtering
+        }).catch(this.error);
+      }
+    }
+  }
+
+  /**
+   * Check whether a reservation is within the given number of queue positions
+   * @param {string} reservationKey - Reservation key from the autocomplete
+   * @param {number} position - Maximum queue position
+   * @returns {boolean} True if ready for pickup or within the top positions
+   */
+  isReservationWithinTop(reservationKey, position) {
+    const reservation = this._previousReservations.get(reservationKey);
+    if (!reservation) return false;
+    if (reservation.isReady) return true;
+
+    return reservation.queuePosition !== null && reservation.queuePosition <= position;
+  }
+
+  /**
+   * Build autocomplete results for the current reservations
+   * @param {string} query - Search text
+   * @returns {Object[]} Autocomplete results
+   */
+  getReservationAutocomplete(query) {
+    const search = (query || '').toLowerCase();
+    const results = [];
+
+    for (const [reservationKey, reservation] of this._previousReservations) {
+      if (search && !reservation.title.toLowerCase().includes(search)) continue;
+
+      const position = reservation.isReady
+        ? 'ready'
+        : reservation.queuePosition !== null ? `#${reservation.queuePosition}` : reservation.status;
+      results.push({
+        id: reservationKey,
+        name: reservation.title,
+        description: `${reservation.userName} - ${position}`
+      });
+    }
+
+    return results;
   }
 
   /**
@@ -303,16 +920,13 @@ class LibraryAccountDevice extends Homey.Device {
 
     for (const [userName, loans] of loansByUser) {
       // Sort loans by days remaining (urgent first)
-      loans.sort((a, b) => a.daysLeft - b.daysLeft);
+      loans.sort((a, b) => LoanDates.compareDaysLeft(a.daysLeft, b.daysLeft));
 
       lines.push(`${userName} (${loans.length}):`);
 
       for (const loan of loans) {
-        const daysStr = loan.daysLeft < 0
-          ? `${Math.abs(loan.daysLeft)}d overdue!`
-          : `${loan.daysLeft}d`;
         const extendable = loan.isExtendable ? '' : ' [!]';
-        lines.push(`  - ${loan.title} (${daysStr})${extendable}`);
+        lines.push(`  - ${loan.title} (${LoanDates.formatDaysLeft(loan.daysLeft)})${extendable}`);
       }
     }
 
@@ -326,80 +940,325 @@ class LibraryAccountDevice extends Homey.Device {
   }
 
   /**
-   * Extract library name from URL
+   * Extend all loans that meet the criteria
+   * @param {number} maxDays - Maximum days remaining to extend
+   * @returns {Promise<Object>} Extension summary (see extendLoanGroups)
    */
-  _extractLibraryFromUrl(url) {
-    if (!url) return null;
-    try {
-      const hostname = new URL(url).hostname;
-      const name = hostname.split('.')[0];
-      return name.charAt(0).toUpperCase() + name.slice(1);
-    } catch {
-      return null;
+  async extendAllLoans(maxDays) {
+    this.log(`Extending loans with ${maxDays} or fewer days remaining...`);
+
+    const data = await this.getStoreValue('lastData');
+    if (!data || !data.userDetails) {
+      this.log('No loan data available');
+      return this._summarizeExtensions([]);
+    }
+
+    // Days remaining were scraped on the day of the last update
+    const daysSinceUpdate = data.lastUpdated ? OpeningHours.daysSince(data.lastUpdated) : 0;
+
+    // Group loans by account for batch extension
+    const groups = [];
+    for (const [userId, user] of Object.entries(data.userDetails)) {
+      if (!user.loanDetails) continue;
+
+      const baseUrl = user.loans?.url?.replace(/\/loans$/, '') || '';
+      const loans = Object.values(user.loanDetails).filter(loan => {
+        const daysLeft = LoanDates.daysLeft(loan.daysRemaining, loan.loanTill, daysSinceUpdate);
+        return loan.isExtendable && loan.extendLoanId && daysLeft !== null && daysLeft <= maxDays;
+      });
+
+      if (loans.length > 0 && baseUrl) {
+        groups.push({ userId, baseUrl, loans });
+      }
     }
+
+    return this.extendLoanGroups(groups);
   }
 
   /**
-   * Extend all loans that meet the criteria
-   * @param {number} maxDays - Maximum days remaining to extend
-   * @returns {Promise<boolean>} Success status
+   * Key of an auto-extend attempt, the same for a loan and its log entry
+   * @param {string} extendLoanId - Loan id used for extending
+   * @param {string} dueDate - Due date the loan was attempted for, may be missing
+   * @returns {string} Key
    */
-  async extendAllLoans(maxDays) {
-    this.log(`Extending loans with ${maxDays} or fewer days remaining...`);
+  _autoExtendKey(extendLoanId, dueDate) {
+    return `${extendLoanId}|${dueDate || ''}`;
+  }
 
-    try {
-      const data = await this.getStoreValue('lastData');
-      if (!data || !data.userDetails) {
-        this.log('No loan data available');
-        return false;
+  /**
+   * Extend loans according to the auto-extend settings
+   * Each loan is attempted once per due date, so refused loans aren't retried on every poll.
+   * @param {Object} data - Data from API
+   */
+  async _runAutoExtend(data) {
+    const settings = this.getSettings();
+    if (!settings.auto_extend_enabled || this._autoExtending) {
+      return;
+    }
+
+    const maxDays = settings.auto_extend_days ?? 3;
+    const excludedTypes = (settings.auto_extend_excluded_types || '')
+      .split(',')
+      .map(type => type.trim().toLowerCase())
+      .filter(Boolean);
+    const autoExtendLog = await this.getStoreValue('autoExtendLog') || [];
+    const attempted = new Set(autoExtendLog.map(entry => this._autoExtendKey(entry.extendLoanId, entry.dueDate)));
+
+    const groups = [];
+    let blocked = false;
+
+    for (const [userId, user] of Object.entries(data.userDetails || {})) {
+      // Details left over from an earlier refresh may list loans that are gone
+      if (user.loanDetailsFailed) continue;
+
+      const baseUrl = user.loans?.url?.replace(/\/loans$/, '') || '';
+      const dueLoans = Object.values(user.loanDetails || {}).filter(loan => {
+        const daysLeft = LoanDates.daysLeft(loan.daysRemaining, loan.loanTill);
+        return daysLeft !== null && daysLeft <= maxDays &&
+          !excludedTypes.some(type => (loan.loanType || '').toLowerCase().includes(type));
+      });
+
+      if (dueLoans.some(loan => !loan.isExtendable)) {
+        blocked = true;
       }
 
-      let totalExtended = 0;
+      const loans = dueLoans.filter(loan =>
+        loan.isExtendable &&
+        loan.extendLoanId &&
+        !attempted.has(this._autoExtendKey(loan.extendLoanId, loan.loanTill))
+      );
 
-      // Group loans by account for batch extension
-      for (const [userId, user] of Object.entries(data.userDetails)) {
-        if (!user.loanDetails) continue;
+      if (loans.length > 0 && baseUrl) {
+        groups.push({ userId, baseUrl, loans });
+      }
+    }
 
-        const loansToExtend = [];
-        const baseUrl = user.loans?.url?.replace(/\/loans$/, '') || '';
+    if (groups.length === 0) return;
 
-        for (const [key, loan] of Object.entries(user.loanDetails)) {
-          if (loan.isExtendable &&
-              loan.extendLoanId &&
-              loan.daysRemaining <= maxDays) {
-            loansToExtend.push(loan.extendLoanId);
-          }
-        }
+    if (blocked && settings.auto_extend_only_if_all) {
+      this.log('Auto-extend skipped: some loans due soon cannot be extended');
+      return;
+    }
 
-        if (loansToExtend.length > 0 && baseUrl) {
-          this.log(`Extending ${loansToExtend.length} loans for account ${userId}`);
+    this._autoExtending = true;
+    try {
+      // Remember the due date each loan was attempted for
+      const dueDates = new Map();
+      for (const { loans } of groups) {
+        for (const loan of loans) dueDates.set(loan.extendLoanId, loan.loanTill);
+      }
 
-          const count = await this.api.extendLoans(baseUrl, loansToExtend);
-          totalExtended += count;
-        }
+      // Already inside the refresh, so skip the account's lane
+      const summary = await this._extendLoanGroups(groups);
+      const now = new Date().toISOString();
+
+      for (const result of summary.results) {
+        autoExtendLog.unshift({
+          date: now,
+          title: result.title,
+          userName: result.userName || '',
+          extendLoanId: result.extendLoanId,
+          dueDate: dueDates.get(result.extendLoanId) || '',
+          status: result.status,
+          reason: result.reason || '',
+          newDueDate: result.newDueDate || ''
+        });
       }
 
-      this.log(`Extended ${totalExtended} loans total`);
+      // Keep the log bounded
+      await this.setStoreValue('autoExtendLog', autoExtendLog.slice(0, 100));
+      await this.setSettings({
+        auto_extend_last: `${new Date().toLocaleString('nl-BE', { timeZone: 'Europe/Brussels' })}: ` +
+          `${summary.extendedCount} extended, ${summary.refusedCount} refused`
+      }).catch(this.error);
 
-      // Refresh data after extensions
-      if (totalExtended > 0) {
-        // Wait a bit for the server to process
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        await this.refreshData();
+      this.log(`Auto-extend: ${summary.extendedCount} extended, ${summary.refusedCount} refused`);
+    } finally {
+      this._autoExtending = false;
+    }
+  }
+
+  /**
+   * Extend a single loan
+   * @param {string} userId - Account ID owning the loan
+   * @param {string} extendLoanId - extend_loan_id of the loan
+   * @returns {Promise<Object>} Extension result for the loan
+   */
+  async extendLoan(userId, extendLoanId) {
+    const data = await this.getStoreValue('lastData');
+    const user = data?.userDetails?.[userId];
+    const loan = Object.values(user?.loanDetails || {}).find(l => l.extendLoanId === extendLoanId);
+
+    if (!loan) {
+      throw new Error('Loan not found, it may have been returned');
+    }
+    if (!loan.isExtendable) {
+      throw new Error(`${loan.title} cannot be extended`);
+    }
+
+    this.log(`Extending single loan: ${loan.title}`);
+
+    const baseUrl = user.loans?.url?.replace(/\/loans$/, '') || '';
+    const summary = await this.extendLoanGroups([{ userId, baseUrl, loans: [loan] }]);
+    return summary.results[0];
+  }
+
+  /**
+   * Build autocomplete results for the current loans
+   * @param {string} query - Search text
+   * @returns {Promise<Object[]>} Autocomplete results
+   */
+  async getLoanAutocomplete(query) {
+    const data = await this.getStoreValue('lastData');
+    const search = (query || '').toLowerCase();
+    const results = [];
+
+    for (const [userId, user] of Object.entries(data?.userDetails || {})) {
+      const userName = user.accountDetails?.userName || 'Unknown';
+
+      for (const loan of Object.values(user.loanDetails || {})) {
+        if (!loan.extendLoanId) continue;
+        if (search && !`${loan.title} ${loan.author}`.toLowerCase().includes(search)) continue;
+
+        results.push({
+          id: `${userId}|${loan.extendLoanId}`,
+          name: loan.title,
+          description: [loan.author, userName, LoanDates.formatDaysLeft(LoanDates.daysLeft(loan.daysRemaining, loan.loanTill))]
+            .filter(Boolean).join(' - ')
+        });
       }
+    }
 
-      return totalExtended > 0;
+    return results;
+  }
+
+  /**
+   * Extend loans per account, verify the outcome and report refusals
+   * Loans whose confirmation page could not be interpreted are verified by
+   * comparing their due date before and after a data refresh.
+   * @param {Object[]} groups - Array of { userId, baseUrl, loans } where loans are loan details
+   * @returns {Promise<Object>} { extendedCount, refusedCount, refusedTitles, results }
+   */
+  async extendLoanGroups(groups) {
+    return this.homey.app.runExclusive(this.getData().id, () => this._extendLoanGroups(groups));
+  }
+
+  /**
+   * Extend loans, called from the account's exclusive lane
+   * @param {Object[]} groups - Array of { userId, baseUrl, loans } where loans are loan details
+   * @returns {Promise<Object>} { extendedCount, refusedCount, refusedTitles, results }
+   */
+  async _extendLoanGroups(groups) {
+    const results = [];
+
+    try {
+      for (const { userId, baseUrl, loans } of groups) {
+        this.log(`Extending ${loans.length} loans for account ${userId}`);
+
+        const loansById = new Map(loans.map(loan => [loan.extendLoanId, loan]));
+        const accountResults = await this.api.extendLoans(baseUrl, Array.from(loansById.keys()));
+
+        for (const result of accountResults) {
+          const loan = loansById.get(result.extendLoanId) || {};
+          results.push({
+            ...result,
+            title: result.title || loan.title || 'Unknown',
+            userId,
+            previousDaysRemaining: LoanDates.daysLeft(loan.daysRemaining, loan.loanTill)
+          });
+        }
+      }
     } catch (error) {
       this.error('Failed to extend loans:', error);
-      return false;
+      throw error;
     }
+
+    // Refresh data after extensions
+    if (results.length > 0) {
+      // Wait a bit for the server to process
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      await this._refreshData({ full: true });
+      await this._verifyExtensions(results);
+    }
+
+    // Report every refused loan
+    for (const result of results.filter(r => r.status === 'refused')) {
+      this.log(`Extension refused: ${result.title} (${result.reason})`);
+
+      const extensionFailedTrigger = this.homey.flow.getDeviceTriggerCard('loan_extension_failed');
+      await extensionFailedTrigger.trigger(this, {
+        book_title: result.title,
+        reason: result.reason || 'Unknown',
+        user_name: result.userName || 'Unknown'
+      }).catch(this.error);
+    }
+
+    const summary = this._summarizeExtensions(results);
+    this.log(`Extended ${summary.extendedCount} loans, ${summary.refusedCount} refused`);
+    return summary;
+  }
+
+  /**
+   * Resolve unknown extension results by comparing due dates with the refreshed data
+   * @param {Object[]} results - Extension results (updated in place)
+   */
+  async _verifyExtensions(results) {
+    const data = await this.getStoreValue('lastData');
+
+    for (const result of results) {
+      const user = data?.userDetails?.[result.userId];
+      result.userName = user?.accountDetails?.userName || '';
+
+      if (result.status !== 'unknown') continue;
+
+      const loan = Object.values(user?.loanDetails || {}).find(l => l.extendLoanId === result.extendLoanId) ||
+        Object.values(user?.loanDetails || {}).find(l => l.title === result.title);
+
+      // Without known days left before and after, the result stays unknown
+      const daysLeft = loan ? LoanDates.daysLeft(loan.daysRemaining, loan.loanTill) : null;
+      const previousDaysLeft = result.previousDaysRemaining ?? null;
+      if (daysLeft === null || previousDaysLeft === null) continue;
+
+      if (daysLeft > previousDaysLeft) {
+        result.status = 'extended';
+        result.newDueDate = loan.loanTill || '';
+      } else {
+        result.status = 'refused';
+        result.reason = 'Due date unchanged after extension';
+      }
+    }
+  }
+
+  /**
+   * Build the summary returned to the action cards
+   * @param {Object[]} results - Extension results
+   * @returns {Object} Summary with counts, refused titles and the raw results
+   */
+  _summarizeExtensions(results) {
+    const refused = results.filter(result => result.status === 'refused');
+    return {
+      extendedCount: results.filter(result => result.status === 'extended').length,
+      refusedCount: refused.length,
+      refusedTitles: refused.map(result => result.title).join(', '),
+      results
+    };
   }
 
   async onDeleted() {
     this.log('Device deleted');
 
-    if (this._pollInterval) {
-      this.homey.clearInterval(this._pollInterval);
+    this.homey.app.removeClient(this.getData().id);
+
+    if (this._pollTimeout) {
+      this.homey.clearTimeout(this._pollTimeout);
+    }
+
+    if (this._dataAgeInterval) {
+      this.homey.clearInterval(this._dataAgeInterval);
+    }
+
+    if (this._midnightTimeout) {
+      this.homey.clearTimeout(this._midnightTimeout);
     }
   }
 
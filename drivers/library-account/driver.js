@@ -1,7 +1,7 @@
 'use strict';
 
 const Homey = require('homey');
-const BibliotheekAPI = require('../../lib/BibliotheekAPI');
+const LibraryProviders = require('../../lib/LibraryProviders');
 
 class LibraryAccountDriver extends Homey.Driver {
 
@@ -31,11 +31,48 @@ class LibraryAccountDriver extends Homey.Driver {
       return state.days_left <= args.days;
     });
 
+    // reservation_pickup_expiring trigger - uses runListener for filtering
+    const pickupExpiringTrigger = this.homey.flow.getDeviceTriggerCard('reservation_pickup_expiring');
+    pickupExpiringTrigger.registerRunListener(async (args, state) => {
+      return state.days_left <= args.days;
+    });
+
+    // loan_last_return_day trigger - uses runListener for filtering
+    const lastReturnDayTrigger = this.homey.flow.getDeviceTriggerCard('loan_last_return_day');
+    lastReturnDayTrigger.registerRunListener(async (args, state) => {
+      return state.days_left <= args.days;
+    });
+
+    // data_became_stale trigger - only flows whose threshold was just crossed
+    const dataStaleTrigger = this.homey.flow.getDeviceTriggerCard('data_became_stale');
+    dataStaleTrigger.registerRunListener(async (args, state) => {
+      return state.previous_age_hours < args.hours && state.age_hours >= args.hours;
+    });
+
     // loan_expired trigger - no filtering needed
     // const loanExpiredTrigger = this.homey.flow.getDeviceTriggerCard('loan_expired');
 
     // days_changed trigger - no filtering needed
     // const daysChangedTrigger = this.homey.flow.getDeviceTriggerCard('days_changed');
+
+    // reservation_ready trigger - no filtering needed
+    // const reservationReadyTrigger = this.homey.flow.getDeviceTriggerCard('reservation_ready');
+
+    // reservation_queue_moved trigger - no filtering needed
+    // const queueMovedTrigger = this.homey.flow.getDeviceTriggerCard('reservation_queue_moved');
+
+    // fine_changed trigger - no filtering needed
+    // const fineChangedTrigger = this.homey.flow.getDeviceTriggerCard('fine_changed');
+
+    // loan_extension_failed trigger - no filtering needed
+    // const extensionFailedTrigger = this.homey.flow.getDeviceTriggerCard('loan_extension_failed');
+
+    // loan_added and loan_returned triggers - no filtering needed
+    // const loanAddedTrigger = this.homey.flow.getDeviceTriggerCard('loan_added');
+    // const loanReturnedTrigger = this.homey.flow.getDeviceTriggerCard('loan_returned');
+
+    // authentication_failed trigger - no filtering needed
+    // const authFailedTrigger = this.homey.flow.getDeviceTriggerCard('authentication_failed');
   }
 
   _registerConditionCards() {
@@ -53,6 +90,29 @@ class LibraryAccountDriver extends Homey.Driver {
       return !someNotExtendable;
     });
 
+    // reservation_within_top condition
+    const reservationWithinTopCondition = this.homey.flow.getConditionCard('reservation_within_top');
+    reservationWithinTopCondition.registerRunListener(async (args) => {
+      return args.device.isReservationWithinTop(args.reservation.id, args.position);
+    });
+    reservationWithinTopCondition.registerArgumentAutocompleteListener('reservation', async (query, args) => {
+      return args.device.getReservationAutocomplete(query);
+    });
+
+    // has_fines_above condition
+    const hasFinesAboveCondition = this.homey.flow.getConditionCard('has_fines_above');
+    hasFinesAboveCondition.registerRunListener(async (args) => {
+      const openAmount = args.device.getCapabilityValue('open_amount');
+      return openAmount !== null && openAmount > args.amount;
+    });
+
+    // data_stale_for condition
+    const dataStaleCondition = this.homey.flow.getConditionCard('data_stale_for');
+    dataStaleCondition.registerRunListener(async (args) => {
+      const dataAge = args.device.getCapabilityValue('data_age_hours');
+      return dataAge !== null && dataAge > args.hours;
+    });
+
     // has_overdue_loans condition
     const hasOverdueCondition = this.homey.flow.getConditionCard('has_overdue_loans');
     hasOverdueCondition.registerRunListener(async (args) => {
@@ -65,22 +125,54 @@ class LibraryAccountDriver extends Homey.Driver {
     // extend_all_loans action
     const extendAllAction = this.homey.flow.getActionCard('extend_all_loans');
     extendAllAction.registerRunListener(async (args) => {
-      return args.device.extendAllLoans(args.max_days);
+      const summary = await args.device.extendAllLoans(args.max_days);
+      return {
+        extended_count: summary.extendedCount,
+        refused_count: summary.refusedCount,
+        refused_titles: summary.refusedTitles
+      };
+    });
+
+    // extend_loan action
+    const extendLoanAction = this.homey.flow.getActionCard('extend_loan');
+    extendLoanAction.registerRunListener(async (args) => {
+      const [userId, extendLoanId] = args.loan.id.split('|');
+      const result = await args.device.extendLoan(userId, extendLoanId);
+      return {
+        extended: result.status === 'extended',
+        reason: result.reason || '',
+        new_due_date: result.newDueDate || ''
+      };
+    });
+    extendLoanAction.registerArgumentAutocompleteListener('loan', async (query, args) => {
+      return args.device.getLoanAutocomplete(query);
     });
 
     // refresh_data action
     const refreshAction = this.homey.flow.getActionCard('refresh_data');
     refreshAction.registerRunListener(async (args) => {
-      return args.device.refreshData();
+      return args.device.refreshData({ full: true });
     });
   }
 
   async onPair(session) {
+    let providerId = LibraryProviders.DEFAULT;
     let username = '';
     let password = '';
     let api = null;
     let fetchedData = null;
 
+    // Library providers for the select_provider view
+    session.setHandler('list_providers', async () => {
+      return LibraryProviders.list();
+    });
+
+    session.setHandler('select_provider', async (id) => {
+      providerId = LibraryProviders.get(id).id;
+      this.log(`Selected library provider: ${providerId}`);
+      return true;
+    });
+
     // Handle login credentials
     session.setHandler('login', async (data) => {
       username = data.username;
@@ -89,7 +181,7 @@ class LibraryAccountDriver extends Homey.Driver {
       this.log(`Attempting login for: ${username}`);
 
       try {
-        api = new BibliotheekAPI(this.homey);
+        api = this.homey.app.createClient(providerId);
         const success = await api.login(username, password);
 
         if (success) {
@@ -116,16 +208,28 @@ class LibraryAccountDriver extends Homey.Driver {
 
       try {
         // Create one device that aggregates all accounts
+        // The email is the unique identifier; other providers prefix it to keep their accounts apart
         const devices = [{
-          name: `Bibliotheek.be (${username})`,
+          name: `${LibraryProviders.get(providerId).displayName} (${username})`,
           data: {
-            id: username // Use email as unique identifier
+            id: providerId === LibraryProviders.DEFAULT ? username : `${providerId}:${username}`
+          },
+          store: {
+            provider: providerId
           },
           settings: {
             username,
             password,
             poll_interval: 30,
-            warning_threshold: 7
+            adaptive_polling: true,
+            poll_align_opening_hours: false,
+            warning_threshold: 7,
+            reminder_cadence: 'once',
+            reminder_milestones: '7,3,1,0',
+            auto_extend_enabled: true,
+            auto_extend_days: 3,
+            auto_extend_excluded_types: '',
+            auto_extend_only_if_all: false
           }
         }];
 
@@ -143,7 +247,7 @@ class LibraryAccountDriver extends Homey.Driver {
       this.log(`Attempting repair login for device: ${device.getName()}`);
 
       try {
-        const api = new BibliotheekAPI(this.homey);
+        const api = this.homey.app.createClient(device.providerId);
         const success = await api.login(data.username, data.password);
 
         if (success) {
@@ -153,6 +257,12 @@ class LibraryAccountDriver extends Homey.Driver {
             password: data.password
           });
 
+          // Start from the fresh session of the repair login
+          device.api.restoreSession(api.serializeSession());
+
+          // Close the authentication circuit breaker and resume polling
+          await device.clearAuthenticationFailure();
+
           // Trigger a data refresh
           await device.refreshData();
 
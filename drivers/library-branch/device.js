@@ -0,0 +1,139 @@
+'use strict';
+
+const Homey = require('homey');
+const OpeningHours = require('../../lib/OpeningHours');
+
+const DETAILS_REFRESH_INTERVAL = 24 * 60 * 60 * 1000; // Opening hours rarely change
+const STATE_UPDATE_INTERVAL = 60 * 1000;
+
+// The closing day is announced in the morning, like the loan reminders, not at midnight
+const REMINDER_START = 7 * 60;
+
+class LibraryBranchDevice extends Homey.Device {
+
+  async onInit() {
+    this.log('LibraryBranchDevice initialized');
+
+    // Library pages are read through the provider of the account the branch was found in
+    this.api = this.homey.app.createClient(await this.getStoreValue('provider'));
+    this._previousOpen = null;
+    this._openingHours = null;
+
+    // Load details from store if available
+    const storedDetails = await this.getStoreValue('libraryDetails');
+    if (storedDetails) {
+      this._openingHours = new OpeningHours(storedDetails);
+      await this._updateState(false);
+    }
+
+    // Opening hours are fetched daily, the open state is recomputed every minute
+    this._detailsInterval = this.homey.setInterval(async () => {
+      await this.refreshDetails();
+    }, DETAILS_REFRESH_INTERVAL);
+
+    this._stateInterval = this.homey.setInterval(async () => {
+      await this._updateState(true);
+    }, STATE_UPDATE_INTERVAL);
+
+    this.refreshDetails().catch(err => {
+      this.error('Initial library details refresh failed:', err);
+    });
+  }
+
+  /**
+   * Refresh opening hours and closing days from the library website
+   */
+  async refreshDetails() {
+    const url = await this.getStoreValue('url');
+    this.log(`Refreshing library details from ${url}`);
+
+    try {
+      const details = await this.api.getLibraryDetails(url);
+      this._openingHours = new OpeningHours(details);
+
+      if (!this._openingHours.hasHours()) {
+        this.log('No opening hours found on library page');
+      }
+
+      await this.setStoreValue('libraryDetails', details);
+      await this._updateState(this._previousOpen !== null);
+      await this.setAvailable();
+      return true;
+    } catch (error) {
+      this.error('Failed to refresh library details:', error);
+
+      // Keep using the stored schedule if we have one
+      if (!this._openingHours) {
+        await this.setUnavailable(error.message);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Update open state capabilities and trigger flows on changes
+   * @param {boolean} triggerFlows - Whether to trigger Flow cards
+   */
+  async _updateState(triggerFlows = true) {
+    if (!this._openingHours) return;
+
+    const state = this._openingHours.getState();
+
+    await this.setCapabilityValue('branch_open', state.isOpen).catch(this.error);
+    await this.setCapabilityValue('branch_opens_at', state.opensAt || '-').catch(this.error);
+    await this.setCapabilityValue('branch_closes_at', state.closesAt || '-').catch(this.error);
+
+    if (triggerFlows) {
+      await this._checkAndTriggerFlows(state);
+    }
+
+    this._previousOpen = state.isOpen;
+  }
+
+  /**
+   * Trigger opened/closed transitions, and today's closing day once in the morning
+   * @param {Object} state - Current opening state
+   */
+  async _checkAndTriggerFlows(state) {
+    if (this._previousOpen !== null && this._previousOpen !== state.isOpen) {
+      const triggerId = state.isOpen ? 'branch_opened' : 'branch_closed';
+      this.log(`Library ${state.isOpen ? 'opened' : 'closed'}`);
+
+      const trigger = this.homey.flow.getDeviceTriggerCard(triggerId);
+      await trigger.trigger(this, {
+        closes_at: state.closesAt || '',
+        opens_at: state.opensAt || ''
+      }).catch(this.error);
+    }
+
+    const today = OpeningHours.localDate();
+    const closure = this._openingHours.getClosure(today);
+    const todayKey = `${today.year}-${today.month}-${today.day}`;
+
+    if (closure && today.minutes >= REMINDER_START &&
+        await this.getStoreValue('closedTodayTriggered') !== todayKey) {
+      this.log(`Library closed today: ${closure.reason}`);
+
+      const trigger = this.homey.flow.getDeviceTriggerCard('branch_closed_today');
+      await trigger.trigger(this, {
+        reason: closure.reason
+      }).catch(this.error);
+
+      await this.setStoreValue('closedTodayTriggered', todayKey);
+    }
+  }
+
+  async onDeleted() {
+    this.log('Branch device deleted');
+
+    if (this._detailsInterval) {
+      this.homey.clearInterval(this._detailsInterval);
+    }
+    if (this._stateInterval) {
+      this.homey.clearInterval(this._stateInterval);
+    }
+  }
+
+}
+
+module.exports = LibraryBranchDevice;
@@ -0,0 +1,80 @@
+'use strict';
+
+const Homey = require('homey');
+const LibraryProviders = require('../../lib/LibraryProviders');
+
+class LibraryBranchDriver extends Homey.Driver {
+
+  async onInit() {
+    this.log('LibraryBranchDriver initialized');
+    this._registerFlowCards();
+  }
+
+  _registerFlowCards() {
+    // branch_opened, branch_closed and branch_closed_today triggers - no filtering needed
+
+    // branch_is_open condition
+    const branchIsOpenCondition = this.homey.flow.getConditionCard('branch_is_open');
+    branchIsOpenCondition.registerRunListener(async (args) => {
+      return args.device.getCapabilityValue('branch_open') === true;
+    });
+
+    this.log('Branch flow cards registered');
+  }
+
+  async onPair(session) {
+    session.setHandler('list_devices', async () => {
+      this.log('Listing library branches...');
+
+      // Libraries are collected from the memberships of all library accounts
+      const accountDriver = this.homey.drivers.getDriver('library-account');
+      const accountDevices = accountDriver.getDevices();
+
+      if (accountDevices.length === 0) {
+        this.log('No library account found - please add a Library Account first');
+        return [];
+      }
+
+      const devices = new Map();
+
+      for (const accountDevice of accountDevices) {
+        const storedData = await accountDevice.getStoreValue('lastData');
+        if (!storedData || !storedData.libraryDetails) continue;
+
+        // Use the long library names from the memberships where available
+        const Provider = LibraryProviders.get(accountDevice.providerId);
+        const longNames = {};
+        for (const user of Object.values(storedData.userDetails || {})) {
+          const libraryUrl = user.accountDetails?.library;
+          if (libraryUrl && user.accountDetails?.libraryLongName) {
+            longNames[Provider.libraryKey(libraryUrl)] = user.accountDetails.libraryLongName;
+          }
+        }
+
+        for (const [libraryName, libraryUrl] of Object.entries(storedData.libraryDetails)) {
+          if (devices.has(libraryName)) continue;
+
+          const displayName = longNames[libraryName] ||
+            `Bibliotheek ${libraryName.charAt(0).toUpperCase()}${libraryName.slice(1)}`;
+
+          devices.set(libraryName, {
+            name: displayName,
+            data: {
+              id: libraryName
+            },
+            store: {
+              url: libraryUrl,
+              provider: accountDevice.providerId
+            }
+          });
+        }
+      }
+
+      this.log(`Found ${devices.size} libraries`);
+      return Array.from(devices.values());
+    });
+  }
+
+}
+
+module.exports = LibraryBranchDriver;
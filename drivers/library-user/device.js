@@ -1,6 +1,16 @@
 'use strict';
 
 const Homey = require('homey');
+const LibraryProvider = require('../../lib/LibraryProvider');
+const LibraryProviders = require('../../lib/LibraryProviders');
+const OpeningHours = require('../../lib/OpeningHours');
+const LoanModel = require('../../lib/LoanModel');
+const LoanDates = require('../../lib/LoanDates');
+const Amounts = require('../../lib/Amounts');
+const NotificationLedger = require('../../lib/NotificationLedger');
+
+// Expiry reminders wait for the morning instead of firing at midnight
+const REMINDER_START = 7 * 60;
 
 class LibraryUserDevice extends Homey.Device {
 
@@ -11,12 +21,30 @@ class LibraryUserDevice extends Homey.Device {
     this._userName = await this.getStoreValue('userName');
     this._previousDaysRemaining = null;
     this._previousLoans = new Map();
+    this._loanStateKnown = false; // Whether _previousLoans reflects real data yet
+    this._loansUnread = false; // Whether the loan details could not be read last time
+    this._previousReservations = new Map();
+    this._holdsUnread = false; // Whether the holds could not be read last time
+    this._pickupDays = new Map(); // Pickup days left per reservation at the last check in reminder hours
+    this._previousReadingStats = null;
+    this._midnightTimeout = null;
+    this._ledger = new NotificationLedger(await this.getStoreValue('notificationLedger') || {}); // Reminders sent per loan
+
+    // Add capabilities introduced after the device was paired
+    for (const capability of ['user_loans_this_month', 'user_loans_this_year', 'user_favourite_author', 'user_open_amount']) {
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability).catch(this.error);
+      }
+    }
 
     // Listen for updates from the main account device
     this._setupUpdateListener();
 
-    // Initial data load
-    await this._refreshFromAccountDevice();
+    // Count days down at Brussels midnight
+    this._scheduleMidnightRecompute();
+
+    // Initial data load, without triggers: the previous state was lost with the restart
+    await this._refreshFromAccountDevice(false);
   }
 
   _setupUpdateListener() {
@@ -27,7 +55,23 @@ class LibraryUserDevice extends Homey.Device {
     }, 60 * 1000); // Check every minute for updates from account device
   }
 
-  async _refreshFromAccountDevice() {
+  /**
+   * Recompute days remaining from the account data at the next Brussels midnight
+   */
+  _scheduleMidnightRecompute() {
+    if (this._midnightTimeout) {
+      this.homey.clearTimeout(this._midnightTimeout);
+    }
+
+    const delay = OpeningHours.nextMidnight().getTime() - Date.now() + 1000;
+    this._midnightTimeout = this.homey.setTimeout(async () => {
+      this.log('New day, recomputing days remaining');
+      await this._refreshFromAccountDevice();
+      this._scheduleMidnightRecompute();
+    }, delay);
+  }
+
+  async _refreshFromAccountDevice(triggerFlows = true) {
     try {
       // Find the parent account device
       const accountDriver = this.homey.drivers.getDriver('library-account');
@@ -47,15 +91,20 @@ class LibraryUserDevice extends Homey.Device {
         return;
       }
 
-      await this._processUserData(storedData);
+      // Reminders follow the cadence configured on the account, libraries its provider
+      await this._processUserData(storedData, accountDevice.getSettings(), LibraryProviders.get(accountDevice.providerId), triggerFlows);
+
+      const loanHistory = await accountDevice.getStoreValue('loanHistory') || {};
+      await this._processReadingStats(loanHistory[this._userId] || [], storedData);
+
       await this.setAvailable();
     } catch (error) {
       this.error('Failed to refresh user data:', error);
     }
   }
 
-  async _processUserData(data) {
-    const { userDetails, loans } = data;
+  async _processUserData(data, accountSettings = {}, Provider = LibraryProvider, triggerFlows = true) {
+    const { userDetails } = data;
     const userId = this._userId;
     const userName = this._userName;
 
@@ -67,11 +116,6 @@ class LibraryUserDevice extends Homey.Device {
 
     const warningThreshold = 7; // Could make this a setting
 
-    // Filter loans for this user
-    const userLoans = (loans || []).filter(loan =>
-      loan.accountName === userName || loan.accountId === userId
-    );
-
     // Calculate user-specific values
     let minDaysRemaining = null;
     let totalLoans = 0;
@@ -79,69 +123,81 @@ class LibraryUserDevice extends Homey.Device {
     let someNotExtendable = false;
     const currentLoans = new Map();
 
-    for (const loan of userLoans) {
-      totalLoans++;
+    // Scraped days remaining count from the day of the last successful update
+    const daysSinceUpdate = data.lastUpdated ? OpeningHours.daysSince(data.lastUpdated) : 0;
+
+    // This user's loans, merged from the overview and the loan details
+    for (const loan of LoanModel.merge(data, Provider).filter(loan => loan.accountId === String(userId))) {
+      const daysLeft = LoanDates.daysLeft(loan.daysRemaining, loan.dueDate, daysSinceUpdate);
 
-      const daysLeft = this._calculateDaysRemaining(loan.dueDate);
+      currentLoans.set(loan.id, { ...loan, daysLeft });
 
-      if (minDaysRemaining === null || daysLeft < minDaysRemaining) {
+      totalLoans++;
+      if (daysLeft !== null && (minDaysRemaining === null || daysLeft < minDaysRemaining)) {
         minDaysRemaining = daysLeft;
       }
-
-      if (daysLeft <= warningThreshold) {
+      if (daysLeft !== null && daysLeft <= warningThreshold) {
         expiringSoon++;
       }
-
-      if (loan.isRenewable === false) {
+      if (!loan.isExtendable) {
         someNotExtendable = true;
       }
-
-      const loanKey = loan.title || '';
-      currentLoans.set(loanKey, {
-        title: loan.title || 'Unknown',
-        author: loan.author || '',
-        daysLeft,
-        isExtendable: loan.isRenewable !== false,
-        dueDate: loan.dueDate
-      });
-    }
-
-    // Enrich with detailed loan data
-    if (user.loanDetails) {
-      for (const [key, loanDetail] of Object.entries(user.loanDetails)) {
-        if (!loanDetail.isExtendable) {
-          someNotExtendable = true;
-        }
-
-        if (currentLoans.has(loanDetail.title)) {
-          const existingLoan = currentLoans.get(loanDetail.title);
-          existingLoan.daysLeft = loanDetail.daysRemaining;
-          existingLoan.extendLoanId = loanDetail.extendLoanId;
-          existingLoan.isExtendable = loanDetail.isExtendable;
-
-          if (loanDetail.daysRemaining < minDaysRemaining) {
-            minDaysRemaining = loanDetail.daysRemaining;
-          }
-        }
-      }
     }
 
     // Get reservation count
     const reservations = user.reservations?.count || 0;
 
+    // Build reservation map with pickup details
+    const currentReservations = new Map();
+    for (const reservation of Object.values(user.reservationDetails || {})) {
+      currentReservations.set(`${reservation.title}${reservation.holdId}`, {
+        title: reservation.title || 'Unknown',
+        isReady: !!reservation.isReady,
+        pickupLocation: reservation.pickupLocation || reservation.library || 'Unknown',
+        pickupDeadline: reservation.pickupDeadline || '',
+        pickupDaysLeft: reservation.isReady ? LoanDates.daysUntil(reservation.pickupDeadline) : null
+      });
+    }
+
     // Update capabilities
     await this.setCapabilityValue('user_days_remaining', minDaysRemaining).catch(this.error);
     await this.setCapabilityValue('user_loan_count', totalLoans).catch(this.error);
     await this.setCapabilityValue('user_reservation_count', reservations).catch(this.error);
     await this.setCapabilityValue('user_loans_expiring_soon', expiringSoon).catch(this.error);
     await this.setCapabilityValue('user_some_not_extendable', someNotExtendable).catch(this.error);
+    await this.setCapabilityValue('user_open_amount', Amounts.parse(user.openAmounts?.amount)).catch(this.error);
+
+    // Without readable loan details, now or last time, the loan ids may have changed
+    const loansUncertain = !!user.loanDetailsFailed || this._loansUnread;
+
+    // Like the loan reminders, pickup reminders wait for the morning
+    const isReminderTime = OpeningHours.localDate().minutes >= REMINDER_START;
 
     // Check for triggers
-    await this._checkTriggers(currentLoans, minDaysRemaining, warningThreshold);
+    if (triggerFlows) {
+      await this._checkTriggers(currentLoans, minDaysRemaining, warningThreshold, accountSettings, loansUncertain);
+      if (!loansUncertain) {
+        await this._checkLoanChangeTriggers(currentLoans);
+      }
+      // Holds carried over from an earlier refresh say nothing new
+      if (!user.reservationDetailsFailed) {
+        await this._checkReservationTriggers(currentReservations, isReminderTime);
+      }
+    }
+
+    // Pickup days as of the last daytime check, so a change at midnight still fires in the morning
+    if ((!triggerFlows || isReminderTime) && !user.reservationDetailsFailed) {
+      this._pickupDays = new Map(Array.from(currentReservations, ([reservationKey, reservation]) =>
+        [reservationKey, reservation.pickupDaysLeft]));
+    }
 
     // Store for next comparison
     this._previousDaysRemaining = minDaysRemaining;
     this._previousLoans = currentLoans;
+    this._loanStateKnown = true;
+    this._loansUnread = !!user.loanDetailsFailed;
+    this._previousReservations = currentReservations;
+    this._holdsUnread = !!user.reservationDetailsFailed;
 
     // Store loan details for extend action
     await this.setStoreValue('userLoanDetails', user.loanDetails || {});
@@ -152,14 +208,11 @@ class LibraryUserDevice extends Homey.Device {
 
   _buildLoansSummary(currentLoans) {
     const loans = Array.from(currentLoans.values());
-    loans.sort((a, b) => a.daysLeft - b.daysLeft);
+    loans.sort((a, b) => LoanDates.compareDaysLeft(a.daysLeft, b.daysLeft));
 
     const lines = loans.map(loan => {
-      const daysStr = loan.daysLeft < 0
-        ? `${Math.abs(loan.daysLeft)}d overdue!`
-        : `${loan.daysLeft}d`;
       const extendable = loan.isExtendable ? '' : ' [!]';
-      return `${loan.title} (${daysStr})${extendable}`;
+      return `${loan.title} (${LoanDates.formatDaysLeft(loan.daysLeft)})${extendable}`;
     });
 
     let summary = lines.join('\n');
@@ -170,105 +223,221 @@ class LibraryUserDevice extends Homey.Device {
     return summary || 'No loans';
   }
 
-  async _checkTriggers(currentLoans, minDaysRemaining, warningThreshold) {
-    // Trigger for each loan crossing threshold
+  async _checkTriggers(currentLoans, minDaysRemaining, warningThreshold, accountSettings, loansUncertain = false) {
+    const cadence = accountSettings.reminder_cadence || 'once';
+    const milestones = NotificationLedger.parseMilestones(accountSettings.reminder_milestones);
+    const isMorning = OpeningHours.localDate().minutes >= REMINDER_START;
+
+    // Remind for each loan within the threshold as often as the cadence allows
     for (const [loanKey, loan] of currentLoans) {
-      const previousLoan = this._previousLoans.get(loanKey);
-
-      if (!previousLoan || (previousLoan.daysLeft > warningThreshold && loan.daysLeft <= warningThreshold)) {
-        if (loan.daysLeft <= warningThreshold && loan.daysLeft >= 0) {
-          this.log(`User loan expiring: ${loan.title} (${loan.daysLeft} days)`);
-
-          const trigger = this.homey.flow.getDeviceTriggerCard('user_loan_expiring');
-          await trigger.trigger(this, {
-            book_title: loan.title,
-            days_left: loan.daysLeft
-          }, {
-            days_left: loan.daysLeft
-          }).catch(this.error);
-        }
+      const reminder = { daysLeft: loan.daysLeft, dueDate: LoanModel.dateKey(loan.dueDate), cadence, milestones };
+
+      if (isMorning && loan.daysLeft !== null && loan.daysLeft <= warningThreshold && loan.daysLeft >= 0 &&
+          this._ledger.isDue(loanKey, 'user_loan_expiring', reminder)) {
+        this.log(`User loan expiring: ${loan.title} (${loan.daysLeft} days)`);
+
+        const trigger = this.homey.flow.getDeviceTriggerCard('user_loan_expiring');
+        await trigger.trigger(this, {
+          book_title: loan.title,
+          days_left: loan.daysLeft
+        }, {
+          days_left: loan.daysLeft
+        }).catch(this.error);
+
+        this._ledger.record(loanKey, 'user_loan_expiring', reminder);
       }
     }
+
+    // Entries of loans that may only have another id now are kept
+    if (!loansUncertain) {
+      this._ledger.prune(currentLoans.keys());
+    }
+    if (this._ledger.changed) {
+      this._ledger.changed = false;
+      await this.setStoreValue('notificationLedger', this._ledger.toJSON()).catch(this.error);
+    }
   }
 
-  _calculateDaysRemaining(dueDateStr) {
-    if (!dueDateStr) return 0;
+  async _checkLoanChangeTriggers(currentLoans) {
+    // Without a previous state every loan would look new
+    if (!this._loanStateKnown) return;
 
-    try {
-      const parts = dueDateStr.split('/');
-      let dueDate;
-
-      if (parts.length === 3) {
-        const [day, month, year] = parts.map(Number);
-        dueDate = new Date(year, month - 1, day);
-      } else {
-        dueDate = new Date(dueDateStr);
-      }
+    for (const [loanId, loan] of currentLoans) {
+      if (this._previousLoans.has(loanId)) continue;
+
+      this.log(`User loan added: ${loan.title}`);
 
-      if (isNaN(dueDate.getTime())) return 0;
+      const trigger = this.homey.flow.getDeviceTriggerCard('user_loan_added');
+      await trigger.trigger(this, {
+        book_title: loan.title,
+        author: loan.author,
+        media_type: loan.loanType,
+        due_date: LoanModel.formatDate(loan.dueDate),
+        cover: loan.imageSrc
+      }).catch(this.error);
+    }
+
+    for (const [loanId, loan] of this._previousLoans) {
+      if (currentLoans.has(loanId)) continue;
 
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      dueDate.setHours(0, 0, 0, 0);
+      this.log(`User loan returned: ${loan.title}`);
 
-      const diffMs = dueDate - today;
-      return Math.floor(diffMs / (1000 * 60 * 60 * 24));
-    } catch {
-      return 0;
+      const trigger = this.homey.flow.getDeviceTriggerCard('user_loan_returned');
+      await trigger.trigger(this, {
+        book_title: loan.title,
+        days_held: LoanModel.daysHeld(loan) ?? 0
+      }).catch(this.error);
     }
   }
 
-  async extendLoans(maxDays) {
-    this.log(`Extending loans for user with ${maxDays} or fewer days remaining...`);
+  async _checkReservationTriggers(currentReservations, isReminderTime = true) {
+    for (const [reservationKey, reservation] of currentReservations) {
+      if (!reservation.isReady) continue;
 
-    try {
-      const loanDetails = await this.getStoreValue('userLoanDetails') || {};
-      const loansUrl = await this.getStoreValue('loansUrl');
+      const previousReservation = this._previousReservations.get(reservationKey);
+
+      // After an unread holds page a hold we have no state for may have been ready all along
+      if (previousReservation ? !previousReservation.isReady : !this._holdsUnread) {
+        this.log(`User reservation ready: ${reservation.title} at ${reservation.pickupLocation}`);
+
+        const trigger = this.homey.flow.getDeviceTriggerCard('user_reservation_ready');
+        await trigger.trigger(this, {
+          book_title: reservation.title,
+          pickup_location: reservation.pickupLocation,
+          pickup_deadline: reservation.pickupDeadline
+        }).catch(this.error);
+      }
 
-      if (!loansUrl) {
-        this.log('No loans URL available');
-        return false;
+      if (isReminderTime && reservation.pickupDaysLeft !== null && reservation.pickupDaysLeft >= 0 &&
+          this._pickupDays.get(reservationKey) !== reservation.pickupDaysLeft) {
+        this.log(`User reservation pickup expiring: ${reservation.title} (${reservation.pickupDaysLeft} days)`);
+
+        const trigger = this.homey.flow.getDeviceTriggerCard('user_reservation_pickup_expiring');
+        await trigger.trigger(this, {
+          book_title: reservation.title,
+          days_left: reservation.pickupDaysLeft,
+          pickup_location: reservation.pickupLocation,
+          pickup_deadline: reservation.pickupDeadline
+        }, {
+          days_left: reservation.pickupDaysLeft
+        }).catch(this.error);
       }
+    }
+  }
+
+  async _processReadingStats(history, data) {
+    const user = data.userDetails?.[this._userId];
 
-      const baseUrl = loansUrl.replace(/\/loans$/, '');
-      const loansToExtend = [];
+    // Current loans count too; skip the ones already returned into history
+    const entries = [...history];
+    const knownIds = new Set(history.map(entry => entry.id));
+    for (const loan of Object.values(user?.loanDetails || {})) {
+      const id = `${(loan.url || '').split('/').pop() || loan.title}|${loan.loanFrom}`;
+      if (!knownIds.has(id)) {
+        entries.push({ id, title: loan.title, author: loan.author, loanType: loan.loanType, loanFrom: loan.loanFrom });
+      }
+    }
 
-      for (const [key, loan] of Object.entries(loanDetails)) {
-        if (loan.isExtendable && loan.extendLoanId && loan.daysRemaining <= maxDays) {
-          loansToExtend.push(loan.extendLoanId);
+    const stats = this._calculateReadingStats(entries);
+
+    await this.setCapabilityValue('user_loans_this_month', stats.loansThisMonth).catch(this.error);
+    await this.setCapabilityValue('user_loans_this_year', stats.loansThisYear).catch(this.error);
+    await this.setCapabilityValue('user_favourite_author', stats.favouriteAuthors[0] || '-').catch(this.error);
+
+    // Trigger when the counts change (not on the first load after init)
+    const previous = this._previousReadingStats;
+    if (previous &&
+        (previous.loansThisMonth !== stats.loansThisMonth || previous.loansThisYear !== stats.loansThisYear)) {
+      this.log(`Reading stats changed: ${stats.loansThisMonth} this month, ${stats.loansThisYear} this year`);
+
+      const trigger = this.homey.flow.getDeviceTriggerCard('user_reading_stats_changed');
+      await trigger.trigger(this, {
+        loans_this_month: stats.loansThisMonth,
+        loans_this_year: stats.loansThisYear,
+        favourite_authors: stats.favouriteAuthors.join(', '),
+        media_types: Object.entries(stats.mediaTypes).map(([type, count]) => `${type}: ${count}`).join(', ')
+      }).catch(this.error);
+    }
+
+    this._previousReadingStats = stats;
+  }
+
+  /**
+   * Calculate reading statistics from loan history entries
+   * Months and years follow the Brussels calendar, like the loan dates themselves.
+   * @param {Object[]} entries - History entries with loanFrom in DD/MM/YYYY format
+   * @param {Date} now - Current moment (defaults to now)
+   * @returns {Object} Counts this month/year, top 3 authors and media type breakdown
+   */
+  _calculateReadingStats(entries, now = new Date()) {
+    const today = OpeningHours.localDate(now);
+    let loansThisMonth = 0;
+    let loansThisYear = 0;
+    const authors = {};
+    const mediaTypes = {};
+
+    for (const entry of entries) {
+      const loanFrom = LoanDates.parseDate(entry.loanFrom);
+      if (loanFrom?.year === today.year) {
+        loansThisYear++;
+        if (loanFrom.month === today.month) {
+          loansThisMonth++;
         }
       }
 
-      if (loansToExtend.length === 0) {
-        this.log('No loans to extend');
-        return false;
+      if (entry.author) {
+        authors[entry.author] = (authors[entry.author] || 0) + 1;
       }
 
-      // Get the API from the parent account device
-      const accountDriver = this.homey.drivers.getDriver('library-account');
-      const accountDevices = accountDriver.getDevices();
-      const accountDeviceId = this.getData().accountDeviceId;
-      const accountDevice = accountDevices.find(d => d.getData().id === accountDeviceId);
+      const type = entry.loanType || 'Unknown';
+      mediaTypes[type] = (mediaTypes[type] || 0) + 1;
+    }
 
-      if (!accountDevice) {
-        this.log('Parent account device not found');
-        return false;
-      }
+    const favouriteAuthors = Object.entries(authors)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 3)
+      .map(([author]) => author);
 
-      const count = await accountDevice.api.extendLoans(baseUrl, loansToExtend);
-      this.log(`Extended ${count} loans`);
+    return { loansThisMonth, loansThisYear, favouriteAuthors, mediaTypes };
+  }
 
-      // Trigger refresh on parent
-      if (count > 0) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        await accountDevice.refreshData();
-      }
+  async extendLoans(maxDays) {
+    this.log(`Extending loans for user with ${maxDays} or fewer days remaining...`);
 
-      return count > 0;
-    } catch (error) {
-      this.error('Failed to extend loans:', error);
-      return false;
+    const loanDetails = await this.getStoreValue('userLoanDetails') || {};
+    const loansUrl = await this.getStoreValue('loansUrl');
+    const emptySummary = { extendedCount: 0, refusedCount: 0, refusedTitles: '', results: [] };
+
+    if (!loansUrl) {
+      this.log('No loans URL available');
+      return emptySummary;
+    }
+
+    const baseUrl = loansUrl.replace(/\/loans$/, '');
+    const loansToExtend = Object.values(loanDetails).filter(loan => {
+      const daysLeft = LoanDates.daysLeft(loan.daysRemaining, loan.loanTill);
+      return loan.isExtendable && loan.extendLoanId && daysLeft !== null && daysLeft <= maxDays;
+    });
+
+    if (loansToExtend.length === 0) {
+      this.log('No loans to extend');
+      return emptySummary;
     }
+
+    // The parent account device owns the session, verifies results and refreshes
+    const accountDriver = this.homey.drivers.getDriver('library-account');
+    const accountDevices = accountDriver.getDevices();
+    const accountDeviceId = this.getData().accountDeviceId;
+    const accountDevice = accountDevices.find(d => d.getData().id === accountDeviceId);
+
+    if (!accountDevice) {
+      throw new Error('Parent account device not found');
+    }
+
+    const summary = await accountDevice.extendLoanGroups([{ userId: this._userId, baseUrl, loans: loansToExtend }]);
+    this.log(`Extended ${summary.extendedCount} loans, ${summary.refusedCount} refused`);
+
+    return summary;
   }
 
   async onDeleted() {
@@ -276,6 +445,9 @@ class LibraryUserDevice extends Homey.Device {
     if (this._pollInterval) {
       this.homey.clearInterval(this._pollInterval);
     }
+    if (this._midnightTimeout) {
+      this.homey.clearTimeout(this._midnightTimeout);
+    }
   }
 
 }
@@ -16,6 +16,11 @@ class LibraryUserDriver extends Homey.Driver {
       return state.days_left <= args.days;
     });
 
+    const userPickupExpiringTrigger = this.homey.flow.getDeviceTriggerCard('user_reservation_pickup_expiring');
+    userPickupExpiringTrigger.registerRunListener(async (args, state) => {
+      return state.days_left <= args.days;
+    });
+
     // Register user-specific condition
     const userHasExpiringCondition = this.homey.flow.getConditionCard('user_has_expiring_loans');
     userHasExpiringCondition.registerRunListener(async (args) => {
@@ -26,7 +31,12 @@ class LibraryUserDriver extends Homey.Driver {
     // Register user-specific action
     const userExtendAction = this.homey.flow.getActionCard('user_extend_loans');
     userExtendAction.registerRunListener(async (args) => {
-      return args.device.extendLoans(args.max_days);
+      const summary = await args.device.extendLoans(args.max_days);
+      return {
+        extended_count: summary.extendedCount,
+        refused_count: summary.refusedCount,
+        refused_titles: summary.refusedTitles
+      };
     });
 
     this.log('User flow cards registered');
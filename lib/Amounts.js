@@ -0,0 +1,28 @@
+'use strict';
+
+/**
+ * Euro amounts
+ * Providers report open amounts as numbers or as display strings ("€ 1,50", "1.234,00").
+ */
+class Amounts {
+
+  /**
+   * Parse a euro amount (e.g. 1.5, "1,50" or "€ 1,50")
+   * @param {number|string} amount - Amount as returned by the provider
+   * @returns {number} Amount in euro, 0 if missing or unparsable
+   */
+  static parse(amount) {
+    if (typeof amount === 'number') {
+      return isNaN(amount) ? 0 : amount;
+    }
+
+    const cleaned = String(amount || '')
+      .replace(/[^\d,.-]/g, '')
+      .replace(/\.(?=\d{3}(\D|$))/g, '')
+      .replace(',', '.');
+    return parseFloat(cleaned) || 0;
+  }
+
+}
+
+module.exports = Amounts;
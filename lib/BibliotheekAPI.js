@@ -4,18 +4,65 @@ const fetch = require('node-fetch');
 const { CookieJar } = require('tough-cookie');
 const fetchCookieModule = require('fetch-cookie');
 const fetchCookie = fetchCookieModule.default || fetchCookieModule;
-const cheerio = require('cheerio');
+const OpeningHours = require('./OpeningHours');
+const LibraryProvider = require('./LibraryProvider');
+const BibliotheekParser = require('./BibliotheekParser');
+const {
+  BibliotheekError,
+  AuthenticationError,
+  SessionExpiredError,
+  NetworkError,
+  ServerError,
+  RateLimitError,
+  ParseError
+} = require('./BibliotheekErrors');
 
 const TIMEOUT = 30000;
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 2000;
+const MAX_RETRY_DELAY = 60000;
+const ACCOUNT_CONCURRENCY = 2;
+
+// bibliotheek.be and its login service; overridable to test against a local stand-in
+const DEFAULT_BASE_URL = 'https://bibliotheek.be';
+const DEFAULT_AUTH_URL = 'https://mijn.bibliotheek.be';
 
 /**
- * API client for bibliotheek.be
+ * API client for bibliotheek.be, the default library provider
  * Ported from Python utils.py in the Home Assistant integration
  */
-class BibliotheekAPI {
+class BibliotheekAPI extends LibraryProvider {
+
+  static get id() {
+    return 'bibliotheek_be';
+  }
 
-  constructor(homey) {
-    this.homey = homey;
+  static get displayName() {
+    return 'Bibliotheek.be';
+  }
+
+  /**
+   * BIBLIOTHEEK_BASE_URL and BIBLIOTHEEK_AUTH_URL point the client at another server,
+   * such as the local stand-in from mock-server/
+   * @param {Object} env - Homey.env
+   * @returns {Object} { baseUrl, authUrl }
+   */
+  static optionsFromEnv(env) {
+    return {
+      baseUrl: env.BIBLIOTHEEK_BASE_URL,
+      authUrl: env.BIBLIOTHEEK_AUTH_URL
+    };
+  }
+
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {Object} scheduler - Optional request scheduler with a schedule(task) method (the app)
+   * @param {Object} options - { baseUrl, authUrl } to use another server than bibliotheek.be
+   */
+  constructor(homey, scheduler = null, { baseUrl = null, authUrl = null } = {}) {
+    super(homey, scheduler);
+    this.baseUrl = (baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.authUrl = (authUrl || baseUrl || DEFAULT_AUTH_URL).replace(/\/+$/, '');
     this.cookieJar = new CookieJar();
     this.fetch = fetchCookie(fetch, this.cookieJar);
     this.baseHeaders = {
@@ -23,22 +70,16 @@ class BibliotheekAPI {
       'Accept': 'application/json, text/html, application/xhtml+xml',
       'Accept-Language': 'nl-BE,nl;q=0.9,en;q=0.8'
     };
-    this.authenticated = false;
     this.userdetails = {};
   }
 
   /**
-   * Extract library name from URL hostname
+   * Library key from the URL hostname, e.g. "gent" for https://gent.bibliotheek.be
    * @param {string} url - Library URL
-   * @returns {string} Library name
+   * @returns {string} Library key
    */
-  static extractLibraryNameFromUrl(url) {
-    try {
-      const hostname = new URL(url).hostname;
-      return hostname.split('.')[0];
-    } catch {
-      return 'unknown';
-    }
+  static libraryKey(url) {
+    return BibliotheekParser.libraryNameFromUrl(url);
   }
 
   /**
@@ -74,6 +115,28 @@ class BibliotheekAPI {
     return counts;
   }
 
+  /**
+   * Map items through an async function with at most `limit` running at once
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - Async function called with (item, index)
+   * @returns {Promise<Array>} Results in the order of the items
+   */
+  static async mapWithLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    });
+
+    await Promise.all(workers);
+    return results;
+  }
+
   /**
    * Authenticate with bibliotheek.be using OAuth2-like flow
    * @param {string} username - Email address
@@ -84,8 +147,8 @@ class BibliotheekAPI {
     this.log('Starting authentication...');
 
     // Step 1: Get OAuth parameters from /mijn-bibliotheek/aanmelden
-    const authStartResponse = await this.fetch(
-      'https://bibliotheek.be/mijn-bibliotheek/aanmelden',
+    const authStartResponse = await this._request(
+      `${this.baseUrl}/mijn-bibliotheek/aanmelden`,
       {
         headers: { ...this.baseHeaders, 'Content-Type': 'application/json' },
         redirect: 'manual',
@@ -104,7 +167,7 @@ class BibliotheekAPI {
 
     const oauthLocation = authStartResponse.headers.get('location');
     if (!oauthLocation) {
-      throw new Error('No OAuth location in response');
+      throw new ParseError('No OAuth location in response');
     }
 
     // Parse OAuth parameters
@@ -116,7 +179,7 @@ class BibliotheekAPI {
     this.log(`OAuth params: hint=${hint}, token=${oauthToken ? 'present' : 'missing'}`);
 
     // Step 2: Get authorization page
-    await this.fetch(oauthLocation, {
+    await this._request(oauthLocation, {
       headers: this.baseHeaders,
       timeout: TIMEOUT
     });
@@ -125,21 +188,21 @@ class BibliotheekAPI {
     const loginHeaders = {
       ...this.baseHeaders,
       'Content-Type': 'application/x-www-form-urlencoded',
-      'Host': 'mijn.bibliotheek.be',
-      'Origin': 'https://bibliotheek.be',
+      'Host': new URL(this.authUrl).host,
+      'Origin': this.baseUrl,
       'Referer': oauthLocation
     };
 
     const loginData = new URLSearchParams({
       hint: hint || 'login',
       token: oauthToken || '',
-      callback: 'https://bibliotheek.be/my-library/login/callback',
+      callback: `${this.baseUrl}/my-library/login/callback`,
       email: username,
       password: password
     });
 
-    const loginResponse = await this.fetch(
-      'https://mijn.bibliotheek.be/openbibid/rest/auth/login',
+    const loginResponse = await this._request(
+      `${this.authUrl}/openbibid/rest/auth/login`,
       {
         method: 'POST',
         headers: loginHeaders,
@@ -152,14 +215,14 @@ class BibliotheekAPI {
     this.log(`Login response status: ${loginResponse.status}`);
 
     if (loginResponse.status !== 200 && loginResponse.status !== 303) {
-      throw new Error(`Login failed with status ${loginResponse.status}`);
+      throw new AuthenticationError(`Login failed with status ${loginResponse.status}`, { status: loginResponse.status });
     }
 
     // Step 4: Follow callback redirect
     if (loginResponse.status === 303) {
       const loginLocation = loginResponse.headers.get('location');
       if (loginLocation) {
-        const callbackResponse = await this.fetch(loginLocation, {
+        const callbackResponse = await this._request(loginLocation, {
           headers: this.baseHeaders,
           redirect: 'manual',
           timeout: TIMEOUT
@@ -169,8 +232,8 @@ class BibliotheekAPI {
 
         // If redirected again, need to get access token
         if (callbackResponse.status === 302) {
-          await this.fetch(
-            'https://mijn.bibliotheek.be/openbibid/rest/accessToken',
+          await this._request(
+            `${this.authUrl}/openbibid/rest/accessToken`,
             {
               method: 'POST',
               headers: loginHeaders,
@@ -184,8 +247,8 @@ class BibliotheekAPI {
     }
 
     // Step 5: Verify authentication by accessing memberships page
-    const verifyResponse = await this.fetch(
-      'https://bibliotheek.be/mijn-bibliotheek/lidmaatschappen',
+    const verifyResponse = await this._request(
+      `${this.baseUrl}/mijn-bibliotheek/lidmaatschappen`,
       {
         headers: this.baseHeaders,
         redirect: 'manual',
@@ -194,7 +257,7 @@ class BibliotheekAPI {
     );
 
     if (verifyResponse.status !== 200) {
-      throw new Error('Authentication verification failed');
+      throw new AuthenticationError('Authentication verification failed');
     }
 
     this.authenticated = true;
@@ -202,13 +265,130 @@ class BibliotheekAPI {
     return true;
   }
 
+  /**
+   * Serialize the cookie jar so the session survives app restarts
+   * @returns {Object} Serialized cookie jar
+   */
+  serializeSession() {
+    return this.cookieJar.serializeSync();
+  }
+
+  /**
+   * Restore a previously serialized session
+   * The session is assumed valid until a request ends up at the login page.
+   * @param {Object} serialized - Serialized cookie jar from serializeSession()
+   */
+  restoreSession(serialized) {
+    try {
+      this.cookieJar = CookieJar.deserializeSync(serialized);
+      this.fetch = fetchCookie(fetch, this.cookieJar);
+      this.authenticated = true;
+      this.log('Session restored');
+    } catch (err) {
+      this.log(`Failed to restore session: ${err.message}`);
+      this.resetSession();
+    }
+  }
+
+  /**
+   * Drop all cookies, forcing a full login on the next refresh
+   */
+  resetSession() {
+    this.cookieJar = new CookieJar();
+    this.fetch = fetchCookie(fetch, this.cookieJar);
+    this.authenticated = false;
+  }
+
+  /**
+   * Throw when a response was redirected to the login page or refused access
+   * @param {Response} response - Fetch response
+   */
+  _checkSession(response) {
+    const location = response.headers.get('location') || '';
+
+    if (response.status === 401 || response.status === 403 ||
+        /aanmelden|openbibid/.test(response.url || '') ||
+        /aanmelden|openbibid/.test(location)) {
+      this.authenticated = false;
+      throw new SessionExpiredError();
+    }
+  }
+
+  /**
+   * Fetch with retries for transient failures
+   * Network errors, 5xx and 429 responses are retried with exponential backoff.
+   * Only GET requests are retried by default, so a form is never submitted twice.
+   * @param {string} url - Request URL
+   * @param {Object} options - Fetch options
+   * @param {number} retries - Retries left (defaults to MAX_RETRIES for GET, 0 otherwise)
+   * @returns {Promise<Response>} Fetch response with a non-transient status
+   */
+  async _request(url, options = {}, retries = null) {
+    const method = (options.method || 'GET').toUpperCase();
+    let attemptsLeft = retries ?? (method === 'GET' ? MAX_RETRIES : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      let error;
+
+      try {
+        const response = this.scheduler
+          ? await this.scheduler.schedule(() => this.fetch(url, options))
+          : await this.fetch(url, options);
+
+        if (response.status === 429) {
+          const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+          error = new RateLimitError(`Rate limited by ${new URL(url).hostname}`, {
+            status: 429,
+            retryAfter: isNaN(retryAfter) ? null : retryAfter * 1000
+          });
+        } else if (response.status >= 500) {
+          error = new ServerError(`Server error ${response.status} from ${new URL(url).hostname}`, {
+            status: response.status
+          });
+        } else {
+          return response;
+        }
+      } catch (err) {
+        error = new NetworkError(`Request to ${new URL(url).hostname} failed: ${err.message}`, { cause: err });
+      }
+
+      if (attemptsLeft <= 0) {
+        throw error;
+      }
+      attemptsLeft--;
+
+      // Exponential backoff with jitter, unless the server told us how long to wait
+      const delay = Math.min(
+        error.retryAfter ?? RETRY_DELAY * 2 ** attempt * (0.5 + Math.random() / 2),
+        MAX_RETRY_DELAY
+      );
+      this.log(`${error.message}, retrying in ${Math.round(delay / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Parse a JSON response body
+   * @param {Response} response - Fetch response
+   * @returns {Promise<Object>} Parsed body
+   */
+  async _parseJson(response) {
+    const body = await response.text();
+
+    try {
+      return JSON.parse(body);
+    } catch (err) {
+      throw new ParseError(`Unexpected response from ${response.url || 'bibliotheek.be'}: not JSON`, { cause: err });
+    }
+  }
+
   /**
    * Get all library memberships
    * @returns {Promise<Object>} Memberships data
    */
   async getMemberships() {
-    const response = await this.fetch(
-      'https://bibliotheek.be/api/my-library/memberships',
+    const response = await this._request(
+      `${this.baseUrl}/api/my-library/memberships`,
       {
         headers: this.baseHeaders,
         redirect: 'follow',
@@ -216,11 +396,13 @@ class BibliotheekAPI {
       }
     );
 
+    this._checkSession(response);
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch memberships: ${response.status}`);
+      throw new BibliotheekError(`Failed to fetch memberships: ${response.status}`, { status: response.status });
     }
 
-    return response.json();
+    return this._parseJson(response);
   }
 
   /**
@@ -229,8 +411,8 @@ class BibliotheekAPI {
    * @returns {Promise<Object>} Activities data
    */
   async getActivities(accountId) {
-    const response = await this.fetch(
-      `https://bibliotheek.be/api/my-library/${accountId}/activities`,
+    const response = await this._request(
+      `${this.baseUrl}/api/my-library/${accountId}/activities`,
       {
         headers: this.baseHeaders,
         redirect: 'follow',
@@ -238,11 +420,13 @@ class BibliotheekAPI {
       }
     );
 
+    this._checkSession(response);
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch activities: ${response.status}`);
+      throw new BibliotheekError(`Failed to fetch activities: ${response.status}`, { status: response.status });
     }
 
-    return response.json();
+    return this._parseJson(response);
   }
 
   /**
@@ -250,8 +434,8 @@ class BibliotheekAPI {
    * @returns {Promise<Array>} Loans array
    */
   async getLoans() {
-    const response = await this.fetch(
-      'https://bibliotheek.be/my-library-overview-loans',
+    const response = await this._request(
+      `${this.baseUrl}/my-library-overview-loans`,
       {
         headers: this.baseHeaders,
         redirect: 'follow',
@@ -259,11 +443,13 @@ class BibliotheekAPI {
       }
     );
 
+    this._checkSession(response);
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch loans: ${response.status}`);
+      throw new BibliotheekError(`Failed to fetch loans: ${response.status}`, { status: response.status });
     }
 
-    return response.json();
+    return this._parseJson(response);
   }
 
   /**
@@ -271,8 +457,8 @@ class BibliotheekAPI {
    * @returns {Promise<Array>} Reservations array
    */
   async getReservations() {
-    const response = await this.fetch(
-      'https://bibliotheek.be/my-library-overview-reservations',
+    const response = await this._request(
+      `${this.baseUrl}/my-library-overview-reservations`,
       {
         headers: this.baseHeaders,
         redirect: 'follow',
@@ -280,125 +466,158 @@ class BibliotheekAPI {
       }
     );
 
+    this._checkSession(response);
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch reservations: ${response.status}`);
+      throw new BibliotheekError(`Failed to fetch reservations: ${response.status}`, { status: response.status });
     }
 
-    return response.json();
+    return this._parseJson(response);
   }
 
   /**
    * Get detailed loan information from HTML page (includes extend_loan_id)
    * @param {string} url - Loans page URL
+   * @param {number|null} expectedCount - Number of loans according to the activities API, to check the parser
    * @returns {Promise<Object>} Loan details keyed by title+extend_loan_id
    */
-  async getLoanDetails(url) {
-    const loanDetails = {};
-
+  async getLoanDetails(url, expectedCount = null) {
     this.log(`Fetching loan details from: ${url}`);
 
     // Extract account ID from URL
     const accountIdMatch = url.match(/\/memberships\/(\d+)\//);
     const accountId = accountIdMatch ? accountIdMatch[1] : null;
 
-    const response = await this.fetch(url, {
+    const response = await this._request(url, {
       headers: this.baseHeaders,
       redirect: 'follow',
       timeout: TIMEOUT
     });
 
+    this._checkSession(response);
+
     if (!response.ok) {
-      throw new Error(`Failed to fetch loan details: ${response.status}`);
+      throw new BibliotheekError(`Failed to fetch loan details: ${response.status}`, { status: response.status });
     }
 
     const html = await response.text();
-    const $ = cheerio.load(html);
+    const loanDetails = BibliotheekParser.parseLoansPage(html, accountId);
 
-    // Find all loan wrappers
-    const libs = $('.my-library-user-library-account-loans__loan-wrapper');
+    this.log(`Found ${Object.keys(loanDetails).length} loan details`);
 
-    libs.each((_, libDiv) => {
-      const books = $(libDiv).find('.my-library-user-library-account-loans__loan');
+    // The activities API counted loans, so finding none means the markup changed
+    if (expectedCount > 0 && Object.keys(loanDetails).length === 0) {
+      const { loanWrapper, loan } = BibliotheekParser.SELECTORS;
+      this._reportParserHealth('loans',
+        BibliotheekParser.findMissingSelector(html, [loanWrapper, loan]) || loan,
+        `Expected ${expectedCount} loans, parsed none`);
+    } else if (expectedCount > 0) {
+      this._reportParserHealth('loans');
+    }
 
-      books.each((_, bookEl) => {
-        const $book = $(bookEl);
+    return loanDetails;
+  }
 
-        // Extract library name from title link
-        let libName = '';
-        try {
-          const href = $book.find('.my-library-user-library-account-loans__loan-title a').attr('href');
-          if (href) {
-            libName = href.split('.')[0].split('//')[1];
-            libName = libName.charAt(0).toUpperCase() + libName.slice(1);
-          }
-        } catch { /* ignore */ }
-
-        // Extract title
-        const title = $book.find('.my-library-user-library-account-loans__loan-title a').text().trim() || '';
-
-        // Extract URL
-        const itemUrl = $book.find('.my-library-user-library-account-loans__loan-title a').attr('href') || '';
-
-        // Extract cover image
-        const imageSrc = $book.find('.my-library-user-library-account-loans__loan-cover-img').attr('src') || '';
-
-        // Extract author
-        const author = $book.find('.author').text().trim() || '';
-
-        // Extract loan type
-        const loanType = $book.find('.my-library-user-library-account-loans__loan-type-label').text().trim() || 'Unknown';
-
-        // Extract loan from/till dates
-        const loanFromTo = $book.find('.my-library-user-library-account-loans__loan-from-to');
-        const loanFrom = loanFromTo.find('> div > span:nth-of-type(2)').text().trim() || '';
-        const loanTill = loanFromTo.find('> div:nth-of-type(2) > span:nth-of-type(2)').text().trim() || '';
-
-        // Extract days remaining
-        let daysRemaining = 0;
-        const daysText = $book.find('.my-library-user-library-account-loans__loan-days').text().trim();
-        if (daysText) {
-          const daysMatch = daysText.toLowerCase()
-            .replace('nog ', '')
-            .replace(' dagen', '')
-            .replace(' dag', '')
-            .trim();
-          daysRemaining = parseInt(daysMatch, 10) || 0;
-        }
+  /**
+   * Get detailed reservation information from HTML holds page
+   * @param {string} url - Holds page URL
+   * @param {number|null} expectedCount - Number of holds according to the activities API, to check the parser
+   * @returns {Promise<Object>} Reservation details keyed by title+hold_id
+   */
+  async getReservationDetails(url, expectedCount = null) {
+    this.log(`Fetching reservation details from: ${url}`);
 
-        // Extract extend_loan_id from checkbox
-        let extendLoanId = '';
-        try {
-          const checkbox = $book.find('.my-library-user-library-account-loans__extend-loan input[type="checkbox"]');
-          extendLoanId = checkbox.attr('id') || '';
-        } catch { /* ignore */ }
-
-        // Build key and store details
-        const key = `${title}${extendLoanId}`;
-        loanDetails[key] = {
-          title,
-          author,
-          loanType,
-          url: itemUrl,
-          imageSrc,
-          daysRemaining,
-          loanFrom,
-          loanTill,
-          extendLoanId,
-          library: libName,
-          accountId,
-          isExtendable: !!extendLoanId
-        };
-      });
+    // Extract account ID from URL
+    const accountIdMatch = url.match(/\/memberships\/(\d+)\//);
+    const accountId = accountIdMatch ? accountIdMatch[1] : null;
+
+    const response = await this._request(url, {
+      headers: this.baseHeaders,
+      redirect: 'follow',
+      timeout: TIMEOUT
     });
 
-    this.log(`Found ${Object.keys(loanDetails).length} loan details`);
-    return loanDetails;
+    this._checkSession(response);
+
+    if (!response.ok) {
+      throw new BibliotheekError(`Failed to fetch reservation details: ${response.status}`, { status: response.status });
+    }
+
+    const html = await response.text();
+    const reservationDetails = BibliotheekParser.parseHoldsPage(html, accountId);
+
+    this.log(`Found ${Object.keys(reservationDetails).length} reservation details`);
+
+    if (expectedCount > 0 && Object.keys(reservationDetails).length === 0) {
+      const { holdWrapper, hold } = BibliotheekParser.SELECTORS;
+      this._reportParserHealth('reservations',
+        BibliotheekParser.findMissingSelector(html, [holdWrapper, hold]) || hold,
+        `Expected ${expectedCount} reservations, parsed none`);
+    } else if (expectedCount > 0) {
+      this._reportParserHealth('reservations');
+    }
+
+    return reservationDetails;
+  }
+
+  /**
+   * Get loan history from the library's HTML history pages
+   * Pages are newest first, so paging stops once a known entry is found.
+   * @param {string} url - Loan history page URL
+   * @param {string[]} knownIds - IDs of history entries that are already stored
+   * @param {number} maxPages - Maximum number of pages to fetch
+   * @returns {Promise<Object[]>} New history entries, newest first
+   */
+  async getLoanHistory(url, knownIds = [], maxPages = 20) {
+    const history = [];
+    const known = new Set(knownIds);
+    let pageUrl = url;
+    let page = 0;
+
+    while (pageUrl && page < maxPages) {
+      this.log(`Fetching loan history from: ${pageUrl}`);
+
+      const response = await this._request(pageUrl, {
+        headers: this.baseHeaders,
+        redirect: 'follow',
+        timeout: TIMEOUT
+      });
+
+      this._checkSession(response);
+
+      if (!response.ok) {
+        throw new BibliotheekError(`Failed to fetch loan history: ${response.status}`, { status: response.status });
+      }
+
+      const { entries, nextHref } = BibliotheekParser.parseLoanHistoryPage(await response.text());
+      let reachedKnown = false;
+
+      for (const entry of entries) {
+        if (known.has(entry.id)) {
+          reachedKnown = true;
+          continue;
+        }
+
+        known.add(entry.id);
+        history.push(entry);
+      }
+
+      if (reachedKnown) break;
+
+      // Follow the pager to the next (older) page
+      pageUrl = nextHref ? new URL(nextHref, pageUrl).toString() : null;
+      page++;
+    }
+
+    this.log(`Found ${history.length} new loan history entries`);
+    return history;
   }
 
   /**
    * Get library details from HTML page
    * @param {string} url - Library URL (will append /adres-en-openingsuren)
    * @returns {Promise<Object>} Library details
+   * @throws {BibliotheekError} When the page is missing or has no library article
    */
   async getLibraryDetails(url) {
     const detailsUrl = url.includes('/adres-en-openingsuren')
@@ -407,97 +626,42 @@ class BibliotheekAPI {
 
     this.log(`Fetching library details from: ${detailsUrl}`);
 
-    const response = await this.fetch(detailsUrl, {
+    const response = await this._request(detailsUrl, {
       headers: this.baseHeaders,
       redirect: 'follow',
       timeout: TIMEOUT
     });
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    const libraryInfo = {
-      url: url.replace('/adres-en-openingsuren', ''),
-      libraryNameFromUrl: BibliotheekAPI.extractLibraryNameFromUrl(url)
-    };
-
-    const article = $('.library.library--page-item');
-    if (!article.length) {
-      this.log('No library article found');
-      return libraryInfo;
-    }
-
-    // Parse opening hours
-    const hours = {};
-    article.find('.library__date-open').each((_, dl) => {
-      const day = $(dl).find('dt').text().trim();
-      const times = [];
-      $(dl).find('.timespan time').each((_, time) => {
-        times.push($(time).text().trim());
-      });
-      hours[day] = times;
-    });
-    libraryInfo.hours = hours;
-
-    // Parse GPS coordinates
-    const gpsEl = article.find('.library__pane--address-address--gps');
-    if (gpsEl.length) {
-      const gpsText = gpsEl.text()
-        .replace(/\n/g, ' ')
-        .replace('\u00b0', '')
-        .replace('Gps', '')
-        .trim();
-      const parts = gpsText.split('NB');
-      if (parts.length >= 2) {
-        libraryInfo.lat = parts[0].trim();
-        libraryInfo.lon = parts[1].split('OL')[0].trim();
-      }
-    }
-
-    // Parse address
-    const addressEl = article.find('.library__pane--address--address');
-    if (addressEl.length) {
-      libraryInfo.address = addressEl.text()
-        .replace(/\n/g, ' ')
-        .replace('Adres', '')
-        .replace('Toon op kaart', '')
-        .trim()
-        .replace(/\s{2,}/g, ', ');
+    // A missing page or a maintenance page has no schedule, don't let it replace a good one
+    if (!response.ok) {
+      throw new BibliotheekError(`Failed to fetch library details: ${response.status}`, { status: response.status });
     }
 
-    // Parse phone
-    const phoneEl = article.find('a.tel');
-    if (phoneEl.length) {
-      libraryInfo.phone = phoneEl.text().trim();
-    }
+    const libraryInfo = BibliotheekParser.parseLibraryPage(await response.text(), url);
 
-    // Parse email
-    const emailEl = article.find('.spamspan');
-    if (emailEl.length) {
-      libraryInfo.email = emailEl.text().trim().replace(' [at] ', '@');
+    if (!libraryInfo.hours) {
+      this._reportParserHealth('library', BibliotheekParser.SELECTORS.libraryArticle, 'No library article found');
+      throw new ParseError(`No library article found on ${detailsUrl}`);
+    } else if (Object.keys(libraryInfo.hours).length === 0) {
+      this._reportParserHealth('library', BibliotheekParser.SELECTORS.openingHours, 'No opening hours found');
+    } else {
+      this._reportParserHealth('library');
     }
 
-    // Parse closed dates
-    const closedDates = [];
-    article.find('.library__date-closed').each((_, dl) => {
-      const date = $(dl).find('dt').text().trim();
-      const reason = $(dl).find('dd').text().trim();
-      closedDates.push({ date, reason });
-    });
-    libraryInfo.closedDates = closedDates;
-
     return libraryInfo;
   }
 
   /**
    * Get user's personal book lists
+   * Items of lists that did not change since the previous refresh are reused.
+   * @param {Object} previousLists - Lists from the previous refresh, keyed by list ID
    * @returns {Promise<Object>} Lists keyed by list ID
    */
-  async getUserLists() {
+  async getUserLists(previousLists = {}) {
     const listDetails = {};
 
-    const response = await this.fetch(
-      'https://bibliotheek.be/mijn-bibliotheek/lijsten',
+    const response = await this._request(
+      `${this.baseUrl}/mijn-bibliotheek/lijsten`,
       {
         headers: this.baseHeaders,
         redirect: 'follow',
@@ -510,59 +674,50 @@ class BibliotheekAPI {
       return listDetails;
     }
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    // Find the Vue.js tag with list data
-    const tag = $('item-lists-overview');
-    const listsJson = tag.attr(':lists');
+    // The lists are in the `:lists` attribute of a Vue.js tag
+    let lists;
+    try {
+      lists = BibliotheekParser.parseListsPage(await response.text(), this.baseUrl);
+    } catch (err) {
+      this.log(`Failed to parse lists: ${err.message}`);
+      this._reportParserHealth('lists', `${BibliotheekParser.SELECTORS.lists}[:lists]`, err.message);
+      return listDetails;
+    }
 
-    if (!listsJson) {
+    if (!lists) {
       this.log('No lists data found');
+      this._reportParserHealth('lists', `${BibliotheekParser.SELECTORS.lists}[:lists]`, 'No lists data found');
       return listDetails;
     }
+    this._reportParserHealth('lists');
 
-    try {
-      const data = JSON.parse(listsJson);
-
-      for (const item of data) {
-        const listId = item.url.split('/').pop();
-
-        listDetails[listId] = {
-          id: listId,
-          name: item.title,
-          url: `https://bibliotheek.be${item.url}`,
-          numItems: item.numberOfItems,
-          lastChanged: item.modifiedDate
-        };
+    for (const list of lists) {
+      listDetails[list.id] = list;
 
-        // Fetch list items
-        try {
-          const itemsResponse = await this.fetch(
-            `https://bibliotheek.be/my-library/list/${listId}/list-items?items_per_page=300&status=1`,
-            {
-              headers: this.baseHeaders,
-              redirect: 'follow',
-              timeout: TIMEOUT
-            }
-          );
+      // Reuse the items of unchanged lists
+      const previousList = previousLists[list.id];
+      if (previousList && previousList.items && previousList.lastChanged === list.lastChanged) {
+        list.items = previousList.items;
+        continue;
+      }
 
-          if (itemsResponse.ok) {
-            const listItems = await itemsResponse.json();
-            listDetails[listId].items = listItems.map(listItem => ({
-              title: listItem.title || '',
-              author: listItem.author || '',
-              url: listItem.url || '',
-              cover: listItem.cover || '',
-              id: listItem.id || ''
-            }));
+      // Fetch list items
+      try {
+        const itemsResponse = await this._request(
+          `${this.baseUrl}/my-library/list/${list.id}/list-items?items_per_page=300&status=1`,
+          {
+            headers: this.baseHeaders,
+            redirect: 'follow',
+            timeout: TIMEOUT
           }
-        } catch (err) {
-          this.log(`Failed to fetch items for list ${listId}: ${err.message}`);
+        );
+
+        if (itemsResponse.ok) {
+          list.items = BibliotheekParser.parseListItems(await itemsResponse.json());
         }
+      } catch (err) {
+        this.log(`Failed to fetch items for list ${list.id}: ${err.message}`);
       }
-    } catch (err) {
-      this.log(`Failed to parse lists JSON: ${err.message}`);
     }
 
     return listDetails;
@@ -572,11 +727,12 @@ class BibliotheekAPI {
    * Extend multiple loans by their IDs
    * @param {string} baseUrl - Base URL for the account's loans page
    * @param {string[]} extendLoanIds - Array of extend_loan_id values
-   * @returns {Promise<number>} Number of loans extended
+   * @returns {Promise<Object[]>} Result per loan: { extendLoanId, title, status, reason, newDueDate }
+   *   where status is 'extended', 'refused' or 'unknown' (confirmation page could not be interpreted)
    */
   async extendLoans(baseUrl, extendLoanIds) {
     if (!extendLoanIds || extendLoanIds.length === 0) {
-      return 0;
+      return [];
     }
 
     // Build extension URL
@@ -585,38 +741,40 @@ class BibliotheekAPI {
     this.log(`Extending loans: ${extendUrl}`);
 
     // Get extension form
-    const response = await this.fetch(extendUrl, {
+    const response = await this._request(extendUrl, {
       headers: this.baseHeaders,
       redirect: 'manual',
       timeout: TIMEOUT
     });
 
+    this._checkSession(response);
+
     if (!response.ok && response.status !== 200) {
-      throw new Error(`Failed to get extension form: ${response.status}`);
+      throw new BibliotheekError(`Failed to get extension form: ${response.status}`, { status: response.status });
     }
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-
-    // Find the extension form
-    const form = $('.my-library-extend-loan-form');
-    if (!form.length) {
+    const { fields, error } = BibliotheekParser.parseExtensionForm(await response.text());
+    if (!fields) {
       this.log('No extension form found');
-      return 0;
-    }
 
-    // Extract form data
-    const formData = new URLSearchParams();
-    form.find('input').each((_, input) => {
-      const name = $(input).attr('name');
-      const value = $(input).attr('value');
-      if (name) {
-        formData.append(name, value || '');
+      // Without a form or an error message the page is not what we expect
+      if (response.ok && !error) {
+        this._reportParserHealth('extend', BibliotheekParser.SELECTORS.extendForm, 'No extension form or error message found');
       }
-    });
+      return extendLoanIds.map(extendLoanId => ({
+        extendLoanId,
+        title: '',
+        status: 'refused',
+        reason: error || 'No extension form found',
+        newDueDate: ''
+      }));
+    }
+
+    this._reportParserHealth('extend');
+    const formData = new URLSearchParams(fields);
 
     // Submit extension
-    const confirmResponse = await this.fetch(extendUrl, {
+    const confirmResponse = await this._request(extendUrl, {
       method: 'POST',
       headers: {
         ...this.baseHeaders,
@@ -629,105 +787,60 @@ class BibliotheekAPI {
 
     this.log(`Extension confirmation status: ${confirmResponse.status}`);
 
-    return extendLoanIds.length;
+    if (!confirmResponse.ok) {
+      throw new BibliotheekError(`Failed to confirm extension: ${confirmResponse.status}`, { status: confirmResponse.status });
+    }
+
+    const results = BibliotheekParser.parseExtensionResults(await confirmResponse.text(), extendLoanIds);
+    const extended = results.filter(result => result.status === 'extended').length;
+    const refused = results.filter(result => result.status === 'refused').length;
+    this.log(`Extension results: ${extended} extended, ${refused} refused, ${results.length - extended - refused} unknown`);
+
+    return results;
   }
 
   /**
-   * Full data refresh - fetches all data and aggregates it
-   * @param {string} username - Email address
-   * @param {string} password - Password
+   * Fetch and aggregate all data with the current session
+   * With previous data, unchanged accounts and lists are not fetched again.
+   * @param {Object} previousData - Data from the previous refresh, or null
    * @returns {Promise<Object>} Complete data object
    */
-  async refreshAllData(username, password) {
-    // Ensure authenticated
-    await this.login(username, password);
+  async _fetchAllData(previousData = null) {
+    const previousUsers = previousData?.userDetails || {};
 
     // Fetch memberships
     const memberships = await this.getMemberships();
     this.log(`Fetched memberships: ${JSON.stringify(Object.keys(memberships))}`);
 
     // Fetch loans and reservations from overview APIs
-    const loans = await this.getLoans();
-    const reservations = await this.getReservations();
+    const [loans, reservations] = await Promise.all([this.getLoans(), this.getReservations()]);
 
     this.log(`Fetched ${loans.length} loans and ${reservations.length} reservations`);
 
-    // Process memberships and get per-account details
+    // Fetch per-account details, a few accounts at a time
+    const validAccounts = BibliotheekParser.parseMemberships(memberships);
+    const accountDetails = await BibliotheekAPI.mapWithLimit(validAccounts, ACCOUNT_CONCURRENCY,
+      account => this._fetchAccountDetails(account, previousUsers[account.id]));
+
     const userDetails = {};
     const libraryDetails = {};
 
-    for (const [regionName, regionType] of Object.entries(memberships)) {
-      const libraryAccounts = regionType.library || regionType.region || [];
-
-      // Handle both array and object formats
-      let accounts = [];
-      if (Array.isArray(libraryAccounts)) {
-        accounts = libraryAccounts;
-      } else if (typeof libraryAccounts === 'object') {
-        for (const accountList of Object.values(libraryAccounts)) {
-          if (Array.isArray(accountList)) {
-            accounts.push(...accountList);
-          }
-        }
-      }
+    validAccounts.forEach((account, index) => {
+      userDetails[account.id] = accountDetails[index];
 
-      for (const account of accounts) {
-        if (!account.hasError && account.id) {
-          // Get activities for this account
-          const activities = await this.getActivities(account.id);
-
-          // Build user details
-          const libraryUrl = account.library || '';
-          const libraryNameFromUrl = BibliotheekAPI.extractLibraryNameFromUrl(libraryUrl);
-
-          userDetails[account.id] = {
-            accountDetails: {
-              ...account,
-              barcodeSpell: BibliotheekAPI.countRepeatedNumbers(account.barcode || ''),
-              userName: account.name || '',
-              libraryLongName: account.libraryName || '',
-              libraryName: libraryNameFromUrl.charAt(0).toUpperCase() + libraryNameFromUrl.slice(1)
-            },
-            loans: {
-              count: activities.numberOfLoans || 0,
-              url: `https://bibliotheek.be/my-library/memberships/${account.id}/loans`,
-              historyUrl: `${libraryUrl}${activities.loanHistoryUrl || ''}`
-            },
-            reservations: {
-              count: activities.numberOfHolds || 0,
-              url: `https://bibliotheek.be/my-library/memberships/${account.id}/holds`
-            },
-            openAmounts: {
-              amount: activities.openAmount || 0,
-              url: `https://bibliotheek.be/my-library/memberships/${account.id}/pay`
-            }
-          };
-
-          // Store library URL for later
-          if (libraryUrl) {
-            libraryDetails[libraryNameFromUrl] = libraryUrl;
-          }
-
-          // Get detailed loan information if there are loans
-          if (activities.numberOfLoans > 0) {
-            try {
-              const loanDetails = await this.getLoanDetails(
-                userDetails[account.id].loans.url
-              );
-              userDetails[account.id].loanDetails = loanDetails;
-            } catch (err) {
-              this.log(`Failed to get loan details for ${account.id}: ${err.message}`);
-            }
-          }
-        }
+      // Store library URL for later
+      const libraryUrl = account.library || '';
+      if (libraryUrl) {
+        libraryDetails[BibliotheekAPI.libraryKey(libraryUrl)] = libraryUrl;
       }
-    }
+    });
 
     // Try to fetch user lists (non-critical)
     let userLists = {};
     try {
-      userLists = await this.getUserLists();
+      userLists = await this.getUserLists(previousData?.userLists || {});
     } catch (err) {
+      if (err.sessionExpired) throw err;
       this.log(`Failed to fetch user lists: ${err.message}`);
     }
 
@@ -742,15 +855,95 @@ class BibliotheekAPI {
   }
 
   /**
-   * Log helper
-   * @param {string} message - Message to log
+   * Fetch activities and details of one account
+   * Loan details are reused from the previous refresh when the activities did not
+   * change since then and were fetched earlier the same day. When the loans page
+   * can't be read, the previous details are kept and loanDetailsFailed is set; the same
+   * goes for the holds page and reservationDetailsFailed.
+   * @param {Object} account - Account from the memberships API
+   * @param {Object} previous - The account's details from the previous refresh, if any
+   * @returns {Promise<Object>} User details for the account
    */
-  log(message) {
-    if (this.homey) {
-      this.homey.log(`[BibliotheekAPI] ${message}`);
-    } else {
-      console.log(`[BibliotheekAPI] ${message}`);
+  async _fetchAccountDetails(account, previous) {
+    // Get activities for this account
+    const activities = await this.getActivities(account.id);
+    const activitiesSignature = JSON.stringify(activities);
+
+    // Build user details
+    const libraryUrl = account.library || '';
+    const libraryNameFromUrl = BibliotheekAPI.libraryKey(libraryUrl);
+
+    const details = {
+      accountDetails: {
+        ...account,
+        barcodeSpell: BibliotheekAPI.countRepeatedNumbers(account.barcode || ''),
+        userName: account.name || '',
+        libraryLongName: account.libraryName || '',
+        libraryName: libraryNameFromUrl.charAt(0).toUpperCase() + libraryNameFromUrl.slice(1)
+      },
+      loans: {
+        count: activities.numberOfLoans || 0,
+        url: `${this.baseUrl}/my-library/memberships/${account.id}/loans`,
+        historyUrl: activities.loanHistoryUrl ? `${libraryUrl}${activities.loanHistoryUrl}` : ''
+      },
+      reservations: {
+        count: activities.numberOfHolds || 0,
+        url: `${this.baseUrl}/my-library/memberships/${account.id}/holds`
+      },
+      openAmounts: {
+        amount: activities.openAmount || 0,
+        url: `${this.baseUrl}/my-library/memberships/${account.id}/pay`
+      },
+      activitiesSignature
+    };
+
+    // Get detailed loan information if there are loans
+    if (activities.numberOfLoans > 0) {
+      const unchanged = previous?.loanDetails &&
+        !previous.loanDetailsFailed &&
+        previous.activitiesSignature === activitiesSignature &&
+        previous.loanDetailsUpdated &&
+        OpeningHours.daysSince(previous.loanDetailsUpdated) === 0;
+
+      if (unchanged) {
+        this.log(`Activities of ${account.id} unchanged, reusing loan details`);
+        details.loanDetails = previous.loanDetails;
+        details.loanDetailsUpdated = previous.loanDetailsUpdated;
+      } else {
+        let loanDetails = null;
+        try {
+          loanDetails = await this.getLoanDetails(details.loans.url, activities.numberOfLoans);
+        } catch (err) {
+          if (err.sessionExpired) throw err;
+          this.log(`Failed to get loan details for ${account.id}: ${err.message}`);
+        }
+
+        if (loanDetails && Object.keys(loanDetails).length > 0) {
+          details.loanDetails = loanDetails;
+          details.loanDetailsUpdated = new Date().toISOString();
+        } else {
+          // Unreadable page: keep the previous details, the loan ids are built from them
+          details.loanDetailsFailed = true;
+          details.loanDetails = previous?.loanDetails || loanDetails || {};
+          details.loanDetailsUpdated = previous?.loanDetailsUpdated;
+        }
+      }
+    }
+
+    // Get detailed reservation information if there are holds
+    // (always fetched: a hold becoming ready doesn't change the activities)
+    if (activities.numberOfHolds > 0) {
+      try {
+        details.reservationDetails = await this.getReservationDetails(details.reservations.url, activities.numberOfHolds);
+      } catch (err) {
+        if (err.sessionExpired) throw err;
+        this.log(`Failed to get reservation details for ${account.id}: ${err.message}`);
+        details.reservationDetailsFailed = true;
+        details.reservationDetails = previous?.reservationDetails || {};
+      }
     }
+
+    return details;
   }
 
 }
@@ -0,0 +1,101 @@
+'use strict';
+
+/**
+ * Error classes for bibliotheek.be failures
+ * `transient` errors are worth retrying; the others need a change on our side
+ * (credentials, parser) before a retry can succeed.
+ */
+class BibliotheekError extends Error {
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { status, cause }
+   */
+  constructor(message, { status = null, cause = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.cause = cause;
+    this.transient = false;
+  }
+
+}
+
+/**
+ * Login failed or was refused, e.g. after a password change
+ */
+class AuthenticationError extends BibliotheekError {}
+
+/**
+ * A data request ended up at the login page; logging in again usually fixes this
+ */
+class SessionExpiredError extends AuthenticationError {
+
+  constructor(message = 'Session expired', options) {
+    super(message, options);
+    this.sessionExpired = true;
+  }
+
+}
+
+/**
+ * Connection failure or timeout
+ */
+class NetworkError extends BibliotheekError {
+
+  constructor(message, options) {
+    super(message, options);
+    this.transient = true;
+  }
+
+}
+
+/**
+ * bibliotheek.be answered with a 5xx status
+ */
+class ServerError extends BibliotheekError {
+
+  constructor(message, options) {
+    super(message, options);
+    this.transient = true;
+  }
+
+}
+
+/**
+ * bibliotheek.be asked us to slow down (429)
+ */
+class RateLimitError extends BibliotheekError {
+
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options - { status, cause, retryAfter } with retryAfter in ms
+   */
+  constructor(message, { retryAfter = null, ...options } = {}) {
+    super(message, options);
+    this.transient = true;
+    this.retryAfter = retryAfter;
+  }
+
+}
+
+/**
+ * A response could not be parsed, most likely because the markup changed
+ */
+class ParseError extends BibliotheekError {}
+
+/**
+ * The library provider does not offer this operation
+ */
+class NotSupportedError extends BibliotheekError {}
+
+module.exports = {
+  BibliotheekError,
+  AuthenticationError,
+  SessionExpiredError,
+  NetworkError,
+  ServerError,
+  RateLimitError,
+  ParseError,
+  NotSupportedError
+};
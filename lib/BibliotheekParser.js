@@ -0,0 +1,506 @@
+'use strict';
+
+const cheerio = require('cheerio');
+const { ParseError } = require('./BibliotheekErrors');
+const LoanDates = require('./LoanDates');
+
+// Selectors the parsers depend on, also reported when the markup changes
+const SELECTORS = {
+  loanWrapper: '.my-library-user-library-account-loans__loan-wrapper',
+  loan: '.my-library-user-library-account-loans__loan',
+  holdWrapper: '.my-library-user-library-account-holds__hold-wrapper',
+  hold: '.my-library-user-library-account-holds__hold',
+  historyLoan: '.my-library-user-library-account-loan-history__loan',
+  libraryArticle: '.library.library--page-item',
+  openingHours: '.library__date-open',
+  lists: 'item-lists-overview',
+  extendForm: '.my-library-extend-loan-form',
+  errorMessages: '.messages--error',
+  statusMessages: '.messages--status'
+};
+
+// Extension messages saying a loan was not extended ("kon niet verlengd worden" also contains "verlengd")
+const REFUSED_PATTERN = /niet verlengd|niet verlengbaar|geweigerd|gereserveerd|maximum/i;
+
+/**
+ * Parsers for bibliotheek.be pages and API responses
+ * Pure functions without network access, so they can be tested against saved pages.
+ */
+class BibliotheekParser {
+
+  /**
+   * Extract library name from URL hostname
+   * @param {string} url - Library URL
+   * @returns {string} Library name
+   */
+  static libraryNameFromUrl(url) {
+    try {
+      const hostname = new URL(url).hostname;
+      return hostname.split('.')[0];
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * Find the first selector that matches nothing on a page
+   * @param {string} html - Page HTML
+   * @param {string[]} selectors - Selectors, outermost first
+   * @returns {string|null} Selector without matches, or null if all match
+   */
+  static findMissingSelector(html, selectors) {
+    const $ = cheerio.load(html);
+    return selectors.find(selector => $(selector).length === 0) || null;
+  }
+
+  /**
+   * Collect the accounts of the memberships API response
+   * Regions list their accounts as an array or as arrays per library.
+   * @param {Object} memberships - Memberships API response
+   * @returns {Object[]} Accounts without errors
+   */
+  static parseMemberships(memberships) {
+    const accounts = [];
+
+    for (const regionType of Object.values(memberships || {})) {
+      const libraryAccounts = regionType.library || regionType.region || [];
+
+      // Handle both array and object formats
+      if (Array.isArray(libraryAccounts)) {
+        accounts.push(...libraryAccounts);
+      } else if (typeof libraryAccounts === 'object') {
+        for (const accountList of Object.values(libraryAccounts)) {
+          if (Array.isArray(accountList)) {
+            accounts.push(...accountList);
+          }
+        }
+      }
+    }
+
+    return accounts.filter(account => !account.hasError && account.id);
+  }
+
+  /**
+   * Parse the loans page of an account (includes extend_loan_id)
+   * @param {string} html - Loans page HTML
+   * @param {string|null} accountId - Account ID
+   * @returns {Object} Loan details keyed by title+extend_loan_id
+   */
+  static parseLoansPage(html, accountId = null) {
+    const $ = cheerio.load(html);
+    const loanDetails = {};
+
+    // One wrapper per library
+    $(SELECTORS.loanWrapper).each((_, libDiv) => {
+      $(libDiv).find(SELECTORS.loan).each((_, bookEl) => {
+        const $book = $(bookEl);
+
+        // Extract title, URL and the library name from the title link
+        const titleLink = $book.find('.my-library-user-library-account-loans__loan-title a');
+        const title = titleLink.text().trim() || '';
+        const itemUrl = titleLink.attr('href') || '';
+        const libName = BibliotheekParser._libraryNameFromHref(itemUrl);
+
+        // Extract cover image
+        const imageSrc = $book.find('.my-library-user-library-account-loans__loan-cover-img').attr('src') || '';
+
+        // Extract author
+        const author = $book.find('.author').text().trim() || '';
+
+        // Extract loan type
+        const loanType = $book.find('.my-library-user-library-account-loans__loan-type-label').text().trim() || 'Unknown';
+
+        // Extract loan from/till dates
+        const loanFromTo = $book.find('.my-library-user-library-account-loans__loan-from-to');
+        const loanFrom = loanFromTo.find('> div:nth-of-type(1) > span:nth-of-type(2)').text().trim() || '';
+        const loanTill = loanFromTo.find('> div:nth-of-type(2) > span:nth-of-type(2)').text().trim() || '';
+
+        // Extract days remaining, null when the label is missing or unreadable
+        const daysText = $book.find('.my-library-user-library-account-loans__loan-days').text().trim();
+        const daysRemaining = LoanDates.parseDaysLeft(daysText);
+
+        // Extract extend_loan_id from checkbox
+        const extendLoanId = $book.find('.my-library-user-library-account-loans__extend-loan input[type="checkbox"]').attr('id') || '';
+
+        // Build key and store details, keeping copies of the same title apart
+        let key = `${title}${extendLoanId}`;
+        for (let copy = 2; loanDetails[key]; copy++) {
+          key = `${title}${extendLoanId}#${copy}`;
+        }
+        loanDetails[key] = {
+          title,
+          author,
+          loanType,
+          url: itemUrl,
+          imageSrc,
+          daysRemaining,
+          loanFrom,
+          loanTill,
+          extendLoanId,
+          library: libName,
+          accountId,
+          isExtendable: !!extendLoanId
+        };
+      });
+    });
+
+    return loanDetails;
+  }
+
+  /**
+   * Parse the holds page of an account
+   * @param {string} html - Holds page HTML
+   * @param {string|null} accountId - Account ID
+   * @returns {Object} Reservation details keyed by title+hold_id
+   */
+  static parseHoldsPage(html, accountId = null) {
+    const $ = cheerio.load(html);
+    const reservationDetails = {};
+
+    // One wrapper per library
+    $(SELECTORS.holdWrapper).each((_, libDiv) => {
+      $(libDiv).find(SELECTORS.hold).each((_, holdEl) => {
+        const $hold = $(holdEl);
+
+        // Extract title, URL and the library name from the title link
+        const titleLink = $hold.find('.my-library-user-library-account-holds__hold-title a');
+        const title = titleLink.text().trim() || '';
+        const itemUrl = titleLink.attr('href') || '';
+        const libName = BibliotheekParser._libraryNameFromHref(itemUrl);
+
+        // Extract cover image
+        const imageSrc = $hold.find('.my-library-user-library-account-holds__hold-cover-img').attr('src') || '';
+
+        // Extract author
+        const author = $hold.find('.author').text().trim() || '';
+
+        // Extract hold type
+        const holdType = $hold.find('.my-library-user-library-account-holds__hold-type-label').text().trim() || 'Unknown';
+
+        // Extract status text (e.g. "In behandeling", "Klaar om af te halen tot 12/05/2025")
+        const status = $hold.find('.my-library-user-library-account-holds__hold-status')
+          .text()
+          .replace(/\s+/g, ' ')
+          .trim();
+        const isReady = /af te halen|ligt klaar|klaar om/i.test(status);
+
+        // Extract pickup location
+        const pickupLocation = $hold.find('.my-library-user-library-account-holds__hold-pickup-location')
+          .text()
+          .replace(/\s+/g, ' ')
+          .trim()
+          .replace(/^Afhaallocatie:?/i, '')
+          .trim() || '';
+
+        // Extract pickup deadline (DD/MM/YYYY), falling back to the status text
+        const pickupTillText = $hold.find('.my-library-user-library-account-holds__hold-pickup-till').text();
+        const deadlineMatch = `${pickupTillText} ${status}`.match(/(\d{1,2}\/\d{1,2}\/\d{4})/);
+        const pickupDeadline = deadlineMatch ? deadlineMatch[1] : '';
+
+        // Extract queue position (e.g. "U bent nummer 4 in de wachtrij")
+        const queueText = `${$hold.find('.my-library-user-library-account-holds__hold-queue-position').text()} ${status}`;
+        const queueMatch = queueText.match(/nummer\s+(\d+)/i) || queueText.match(/wachtrij\D*(\d+)/i);
+        const queuePosition = !isReady && queueMatch ? parseInt(queueMatch[1], 10) : null;
+
+        // Extract hold_id from cancel checkbox
+        const holdId = $hold.find('.my-library-user-library-account-holds__cancel-hold input[type="checkbox"]').attr('id') || '';
+
+        // Build key and store details
+        const key = `${title}${holdId}`;
+        reservationDetails[key] = {
+          title,
+          author,
+          holdType,
+          url: itemUrl,
+          imageSrc,
+          status,
+          isReady,
+          pickupLocation,
+          pickupDeadline,
+          queuePosition,
+          holdId,
+          library: libName,
+          accountId
+        };
+      });
+    });
+
+    return reservationDetails;
+  }
+
+  /**
+   * Parse one page of the loan history, newest first
+   * @param {string} html - Loan history page HTML
+   * @returns {Object} { entries, nextHref } where nextHref links to the next (older) page, or null
+   */
+  static parseLoanHistoryPage(html) {
+    const $ = cheerio.load(html);
+    const entries = [];
+
+    $(SELECTORS.historyLoan).each((_, loanEl) => {
+      const $loan = $(loanEl);
+
+      // Extract title and URL
+      const titleLink = $loan.find('.my-library-user-library-account-loan-history__loan-title a');
+      const title = titleLink.text().trim() || '';
+      const itemUrl = titleLink.attr('href') || '';
+
+      // Extract author
+      const author = $loan.find('.author').text().trim() || '';
+
+      // Extract loan type
+      const loanType = $loan.find('.my-library-user-library-account-loan-history__loan-type-label').text().trim() || 'Unknown';
+
+      // Extract loan from/till dates
+      const loanFromTo = $loan.find('.my-library-user-library-account-loan-history__loan-from-to');
+      const loanFrom = loanFromTo.find('> div:nth-of-type(1) > span:nth-of-type(2)').text().trim() || '';
+      const returnedOn = loanFromTo.find('> div:nth-of-type(2) > span:nth-of-type(2)').text().trim() || '';
+
+      // Use the catalogue item path plus loan date as a stable ID
+      entries.push({
+        id: `${itemUrl.split('/').pop() || title}|${loanFrom}`,
+        title,
+        author,
+        loanType,
+        url: itemUrl,
+        loanFrom,
+        returnedOn
+      });
+    });
+
+    return {
+      entries,
+      nextHref: $('.pager__item--next a').attr('href') || null
+    };
+  }
+
+  /**
+   * Parse the address and opening hours page of a library
+   * @param {string} html - Library page HTML
+   * @param {string} url - Library URL
+   * @returns {Object} Library details, without hours if the page has no library article
+   */
+  static parseLibraryPage(html, url) {
+    const $ = cheerio.load(html);
+
+    const libraryInfo = {
+      url: url.replace('/adres-en-openingsuren', ''),
+      libraryNameFromUrl: BibliotheekParser.libraryNameFromUrl(url)
+    };
+
+    const article = $(SELECTORS.libraryArticle);
+    if (!article.length) {
+      return libraryInfo;
+    }
+
+    // Parse opening hours
+    const hours = {};
+    article.find(SELECTORS.openingHours).each((_, dl) => {
+      const day = $(dl).find('dt').text().trim();
+      const times = [];
+      $(dl).find('.timespan time').each((_, time) => {
+        times.push($(time).text().trim());
+      });
+      hours[day] = times;
+    });
+    libraryInfo.hours = hours;
+
+    // Parse GPS coordinates
+    const gpsEl = article.find('.library__pane--address-address--gps');
+    if (gpsEl.length) {
+      const gpsText = gpsEl.text()
+        .replace(/\n/g, ' ')
+        .replace(/\u00b0/g, '')
+        .replace('Gps', '')
+        .trim();
+      const parts = gpsText.split('NB');
+      if (parts.length >= 2) {
+        libraryInfo.lat = parts[0].trim();
+        libraryInfo.lon = parts[1].split('OL')[0].trim();
+      }
+    }
+
+    // Parse address
+    const addressEl = article.find('.library__pane--address--address');
+    if (addressEl.length) {
+      libraryInfo.address = addressEl.text()
+        .replace(/\n/g, ' ')
+        .replace('Adres', '')
+        .replace('Toon op kaart', '')
+        .trim()
+        .replace(/\s{2,}/g, ', ');
+    }
+
+    // Parse phone
+    const phoneEl = article.find('a.tel');
+    if (phoneEl.length) {
+      libraryInfo.phone = phoneEl.text().trim();
+    }
+
+    // Parse email
+    const emailEl = article.find('.spamspan');
+    if (emailEl.length) {
+      libraryInfo.email = emailEl.text().trim().replace(' [at] ', '@');
+    }
+
+    // Parse closed dates
+    const closedDates = [];
+    article.find('.library__date-closed').each((_, dl) => {
+      const date = $(dl).find('dt').text().trim();
+      const reason = $(dl).find('dd').text().trim();
+      closedDates.push({ date, reason });
+    });
+    libraryInfo.closedDates = closedDates;
+
+    return libraryInfo;
+  }
+
+  /**
+   * Parse the personal lists from the Vue.js `:lists` attribute of the lists page
+   * @param {string} html - Lists page HTML
+   * @param {string} baseUrl - Site the list links are relative to
+   * @returns {Object[]|null} Lists as { id, name, url, numItems, lastChanged }, null without lists data
+   * @throws {ParseError} When the lists data is not what we expect
+   */
+  static parseListsPage(html, baseUrl = 'https://bibliotheek.be') {
+    const $ = cheerio.load(html);
+    const listsJson = $(SELECTORS.lists).attr(':lists');
+
+    if (!listsJson) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(listsJson).map(item => {
+        const listId = item.url.split('/').pop();
+
+        return {
+          id: listId,
+          name: item.title,
+          url: `${baseUrl}${item.url}`,
+          numItems: item.numberOfItems,
+          lastChanged: item.modifiedDate
+        };
+      });
+    } catch (err) {
+      throw new ParseError(`Unexpected lists data: ${err.message}`, { cause: err });
+    }
+  }
+
+  /**
+   * Map the items of a list from the list items API
+   * @param {Object[]} listItems - List items API response
+   * @returns {Object[]} Items as { title, author, url, cover, id }
+   */
+  static parseListItems(listItems) {
+    return (listItems || []).map(listItem => ({
+      title: listItem.title || '',
+      author: listItem.author || '',
+      url: listItem.url || '',
+      cover: listItem.cover || '',
+      id: listItem.id || ''
+    }));
+  }
+
+  /**
+   * Parse the extension form, or the error shown instead of it
+   * @param {string} html - Extension page HTML
+   * @returns {Object} { fields, error } with fields as [name, value] pairs, or null without a form
+   */
+  static parseExtensionForm(html) {
+    const $ = cheerio.load(html);
+    const error = $(SELECTORS.errorMessages).text().replace(/\s+/g, ' ').trim();
+
+    const form = $(SELECTORS.extendForm);
+    if (!form.length) {
+      return { fields: null, error };
+    }
+
+    // Extract form data
+    const fields = [];
+    form.find('input').each((_, input) => {
+      const name = $(input).attr('name');
+      if (name) {
+        fields.push([name, $(input).attr('value') || '']);
+      }
+    });
+
+    return { fields, error };
+  }
+
+  /**
+   * Parse the extension confirmation page into a result per loan
+   * @param {string} html - Confirmation page HTML
+   * @param {string[]} extendLoanIds - Requested extend_loan_id values
+   * @returns {Object[]} Result per requested loan
+   */
+  static parseExtensionResults(html, extendLoanIds) {
+    const $ = cheerio.load(html);
+    const results = new Map(extendLoanIds.map(extendLoanId => [extendLoanId, {
+      extendLoanId,
+      title: '',
+      status: 'unknown',
+      reason: '',
+      newDueDate: ''
+    }]));
+
+    // Per-loan result blocks
+    $('.my-library-extend-loan-result').each((_, resultEl) => {
+      const $result = $(resultEl);
+      const extendLoanId = $result.attr('data-loan-id') || $result.find('input[type="checkbox"]').attr('id') || '';
+      if (!results.has(extendLoanId)) return;
+
+      const message = $result.find('.my-library-extend-loan-result__message').text().replace(/\s+/g, ' ').trim();
+      const dateMatch = message.match(/(\d{1,2}\/\d{1,2}\/\d{4})/);
+      const refused = $result.hasClass('my-library-extend-loan-result--error') ||
+        REFUSED_PATTERN.test(message);
+
+      Object.assign(results.get(extendLoanId), {
+        title: $result.find('.my-library-extend-loan-result__title').text().trim(),
+        status: refused ? 'refused' : 'extended',
+        reason: refused ? message : '',
+        newDueDate: !refused && dateMatch ? dateMatch[1] : ''
+      });
+    });
+
+    // Without per-loan blocks, fall back to the page messages
+    const errorMessage = $(SELECTORS.errorMessages).text().replace(/\s+/g, ' ').trim();
+    const statusMessage = $(SELECTORS.statusMessages).text().replace(/\s+/g, ' ').trim();
+
+    for (const result of results.values()) {
+      if (result.status !== 'unknown') continue;
+
+      if (errorMessage && !statusMessage) {
+        result.status = 'refused';
+        result.reason = errorMessage;
+      } else if (statusMessage && REFUSED_PATTERN.test(statusMessage)) {
+        result.status = 'refused';
+        result.reason = statusMessage;
+      } else if (statusMessage && !errorMessage && /verlengd/i.test(statusMessage)) {
+        result.status = 'extended';
+      }
+    }
+
+    return Array.from(results.values());
+  }
+
+  /**
+   * Get the capitalized library name from a catalogue link (e.g. https://gent.bibliotheek.be/...)
+   * @param {string} href - Catalogue link
+   * @returns {string} Library name, or an empty string
+   */
+  static _libraryNameFromHref(href) {
+    const host = (href || '').split('//')[1];
+    if (!host) {
+      return '';
+    }
+
+    const libName = host.split('.')[0];
+    return libName.charAt(0).toUpperCase() + libName.slice(1);
+  }
+
+}
+
+BibliotheekParser.SELECTORS = SELECTORS;
+
+module.exports = BibliotheekParser;
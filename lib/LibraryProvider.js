@@ -0,0 +1,230 @@
+'use strict';
+
+const { NotSupportedError } = require('./BibliotheekErrors');
+
+/**
+ * Base class of a library provider: the client for one library website
+ * The devices, capabilities and flow cards only talk to this interface, so another
+ * library system works by extending this class and registering it in LibraryProviders.
+ *
+ * A provider implements:
+ * - login(username, password) and the session methods
+ * - getMemberships(), getLoans() and getReservations()
+ * - _fetchAllData(previousData), combining these into the data object described at refreshAllData()
+ * - extendLoans(loansUrl, extendLoanIds), getLoanHistory(url, knownIds, maxPages) and
+ *   getLibraryDetails(url), or leaves them throwing NotSupportedError
+ * - the static libraryKey(url), unless every library has a host of its own
+ */
+class LibraryProvider {
+
+  /**
+   * Provider id, stored with the devices paired through this provider
+   * @returns {string} Id
+   */
+  static get id() {
+    throw new NotSupportedError(`${this.name} has no provider id`);
+  }
+
+  /**
+   * Name shown when choosing a provider at pairing
+   * @returns {string} Display name
+   */
+  static get displayName() {
+    return this.id;
+  }
+
+  /**
+   * Client options from env.json, e.g. to point the provider at a local stand-in
+   * @param {Object} env - Homey.env
+   * @returns {Object} Options passed to the constructor
+   */
+  static optionsFromEnv(env) {
+    return {};
+  }
+
+  /**
+   * Key of the library a URL belongs to, matching loans to branches and opening hours
+   * @param {string} url - Library URL
+   * @returns {string} Library key, the hostname unless the provider knows better
+   */
+  static libraryKey(url) {
+    try {
+      return new URL(url).hostname;
+    } catch {
+      return 'unknown';
+    }
+  }
+
+  /**
+   * @param {Object} homey - Homey instance
+   * @param {Object} scheduler - Optional request scheduler with a schedule(task) method (the app)
+   */
+  constructor(homey, scheduler = null) {
+    this.homey = homey;
+    this.scheduler = scheduler;
+    this.authenticated = false;
+    this.parserHealth = {}; // Last parser check per section
+    this.onParserHealth = null; // Called with (section, health) after every check
+  }
+
+  /**
+   * Log in
+   * @param {string} username - Username or e-mail address
+   * @param {string} password - Password
+   * @returns {Promise<boolean>} True if authentication successful
+   * @throws {AuthenticationError} When the credentials are refused
+   */
+  async login(username, password) {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support login`);
+  }
+
+  /**
+   * Serialize the session so it survives app restarts
+   * @returns {Object} Serialized session
+   */
+  serializeSession() {
+    return null;
+  }
+
+  /**
+   * Restore a session from serializeSession()
+   * @param {Object} serialized - Serialized session
+   */
+  restoreSession(serialized) {}
+
+  /**
+   * Drop the session, forcing a full login on the next refresh
+   */
+  resetSession() {
+    this.authenticated = false;
+  }
+
+  /**
+   * Get the library memberships of the logged in user
+   * @returns {Promise<Object>} Memberships
+   */
+  async getMemberships() {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support memberships`);
+  }
+
+  /**
+   * Get the loans of all memberships
+   * @returns {Promise<Array>} Loans
+   */
+  async getLoans() {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support loans`);
+  }
+
+  /**
+   * Get the reservations of all memberships
+   * @returns {Promise<Array>} Reservations
+   */
+  async getReservations() {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support reservations`);
+  }
+
+  /**
+   * Extend loans
+   * @param {string} loansUrl - Loans page of the account (userDetails[id].loans.url)
+   * @param {string[]} extendLoanIds - Loan ids to extend
+   * @returns {Promise<Array>} Result per loan: { extendLoanId, title, status, reason, newDueDate }
+   */
+  async extendLoans(loansUrl, extendLoanIds) {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support extending loans`);
+  }
+
+  /**
+   * Get the loan history, newest first
+   * @param {string} url - History page of the account (userDetails[id].loans.historyUrl)
+   * @param {string[]} knownIds - Entry ids already known, paging stops at the first one
+   * @param {number} maxPages - Maximum pages to fetch
+   * @returns {Promise<Array>} Entries: { id, title, author, loanType, url, loanFrom, returnedOn }
+   */
+  async getLoanHistory(url, knownIds = [], maxPages = 20) {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support loan history`);
+  }
+
+  /**
+   * Get the details of a library branch
+   * @param {string} url - Library URL from the memberships
+   * @returns {Promise<Object>} Details as read by OpeningHours: { hours, closedDates, address, ... }
+   */
+  async getLibraryDetails(url) {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support library details`);
+  }
+
+  /**
+   * Refresh all data, logging in when there is no session or it expired
+   * @param {string} username - Username or e-mail address
+   * @param {string} password - Password
+   * @param {Object} previousData - Data from the previous refresh, or null for a full refresh
+   * @returns {Promise<Object>} { userDetails, loans, reservations, libraryDetails, userLists, lastUpdated }
+   */
+  async refreshAllData(username, password, previousData = null) {
+    // Reuse the existing session, only log in when there is none
+    if (!this.authenticated) {
+      await this.login(username, password);
+      return this._fetchAllData(previousData);
+    }
+
+    try {
+      return await this._fetchAllData(previousData);
+    } catch (err) {
+      if (!err.sessionExpired) throw err;
+
+      this.log('Session expired, logging in again');
+      await this.login(username, password);
+      return this._fetchAllData(previousData);
+    }
+  }
+
+  /**
+   * Fetch and aggregate all data with the current session
+   * @param {Object} previousData - Data from the previous refresh, or null
+   * @returns {Promise<Object>} Complete data object, see refreshAllData()
+   */
+  async _fetchAllData(previousData = null) {
+    throw new NotSupportedError(`${this.constructor.displayName} does not support fetching data`);
+  }
+
+  /**
+   * Record whether a page section still parsed as expected
+   * Markup changes make the selectors match nothing, which would otherwise look
+   * like an empty result.
+   * @param {string} section - Section name (loans, reservations, library, lists, extend)
+   * @param {string|null} selector - Selector that failed, or null if the section parsed fine
+   * @param {string} message - What was wrong
+   */
+  _reportParserHealth(section, selector = null, message = '') {
+    const health = {
+      ok: !selector,
+      selector,
+      message,
+      checkedAt: new Date().toISOString()
+    };
+
+    if (selector) {
+      this.log(`Parser check failed for ${section}: ${message} (${selector})`);
+    }
+
+    this.parserHealth[section] = health;
+    if (this.onParserHealth) {
+      this.onParserHealth(section, health);
+    }
+  }
+
+  /**
+   * Log helper
+   * @param {string} message - Message to log
+   */
+  log(message) {
+    if (this.homey) {
+      this.homey.log(`[${this.constructor.name}] ${message}`);
+    } else {
+      console.log(`[${this.constructor.name}] ${message}`);
+    }
+  }
+
+}
+
+module.exports = LibraryProvider;
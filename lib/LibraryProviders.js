@@ -0,0 +1,54 @@
+'use strict';
+
+const BibliotheekAPI = require('./BibliotheekAPI');
+
+// Provider of devices paired before providers could be chosen
+const DEFAULT_PROVIDER = BibliotheekAPI.id;
+
+const providers = new Map();
+
+/**
+ * Registry of the library providers that can be chosen at pairing
+ */
+class LibraryProviders {
+
+  static get DEFAULT() {
+    return DEFAULT_PROVIDER;
+  }
+
+  /**
+   * Make a provider available for pairing
+   * @param {Function} Provider - Class extending LibraryProvider
+   */
+  static register(Provider) {
+    providers.set(Provider.id, Provider);
+  }
+
+  /**
+   * Get a provider class
+   * @param {string} id - Provider id, the default provider if empty
+   * @returns {Function} Class extending LibraryProvider
+   * @throws {Error} For an unknown provider id
+   */
+  static get(id = null) {
+    const Provider = providers.get(id || DEFAULT_PROVIDER);
+    if (!Provider) {
+      throw new Error(`Unknown library provider: ${id}`);
+    }
+
+    return Provider;
+  }
+
+  /**
+   * List the providers for the pairing view
+   * @returns {Object[]} { id, name } per provider, default first
+   */
+  static list() {
+    return Array.from(providers.values(), Provider => ({ id: Provider.id, name: Provider.displayName }));
+  }
+
+}
+
+LibraryProviders.register(BibliotheekAPI);
+
+module.exports = LibraryProviders;
@@ -0,0 +1,133 @@
+'use strict';
+
+const OpeningHours = require('./OpeningHours');
+
+// Relative days written out instead of counted
+const RELATIVE_DAYS = [
+  [/\bovermorgen\b/, 2],
+  [/\bmorgen\b/, 1],
+  [/\bvandaag\b/, 0],
+  [/\bgisteren\b/, -1],
+  [/\beergisteren\b/, -2]
+];
+
+/**
+ * Loan dates and days left
+ * Parses the Dutch labels on the loans page ("nog 5 dagen", "morgen", "3 dagen te laat")
+ * and the loan dates (DD/MM/YYYY, written Dutch dates or ISO). Everything returns null
+ * when it can't tell, so an unknown due date never looks like a loan due today.
+ */
+class LoanDates {
+
+  /**
+   * Parse a days left label
+   * @param {string} text - Label, e.g. "nog 5 dagen", "nog 1 dag", "morgen" or "3 dagen te laat"
+   * @returns {number|null} Days left, negative when overdue, null if unparsable
+   */
+  static parseDaysLeft(text) {
+    const value = (text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!value) return null;
+
+    const overdue = /te laat|verlopen|vervallen/.test(value);
+
+    const count = value.match(/(\d+) dag(?:en)?\b/) || value.match(/(?:^|\s)(een|één) dag\b/);
+    if (count) {
+      const days = /^\d+$/.test(count[1]) ? parseInt(count[1], 10) : 1;
+      return overdue ? -days : days;
+    }
+
+    const relative = RELATIVE_DAYS.find(([pattern]) => pattern.test(value));
+    if (relative) {
+      return relative[1];
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a loan date (DD/MM/YYYY, written Dutch dates or ISO)
+   * ISO timestamps are converted to the Brussels calendar day.
+   * @param {string} text - Date text
+   * @returns {Object|null} { year, month, day } or null if unparsable
+   */
+  static parseDate(text) {
+    const value = (text || '').trim();
+
+    const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+    if (iso && iso[4]) {
+      const moment = new Date(value);
+      if (!isNaN(moment.getTime())) {
+        const { year, month, day } = OpeningHours.localDate(moment);
+        return { year, month, day };
+      }
+    }
+
+    const date = iso
+      ? { year: parseInt(iso[1], 10), month: parseInt(iso[2], 10), day: parseInt(iso[3], 10) }
+      : OpeningHours.parseDate(value);
+
+    return LoanDates._isValid(date) ? date : null;
+  }
+
+  /**
+   * Count the Brussels calendar days until a date
+   * @param {string} text - Date text
+   * @param {Date} now - Current moment (defaults to now)
+   * @returns {number|null} Days until the date, negative if past, null if unparsable
+   */
+  static daysUntil(text, now = new Date()) {
+    const date = LoanDates.parseDate(text);
+    return date ? OpeningHours.daysBetween(OpeningHours.localDate(now), date) : null;
+  }
+
+  /**
+   * Work out the days left of a loan
+   * The count from the loans page is preferred, corrected for the days since it was
+   * read; the due date is the fallback.
+   * @param {number|null} daysRemaining - Count from the loans page, null if unknown
+   * @param {string} dueDate - Due date text
+   * @param {number} daysSinceUpdate - Days since the count was read
+   * @param {Date} now - Current moment (defaults to now)
+   * @returns {number|null} Days left, negative when overdue, null if unknown
+   */
+  static daysLeft(daysRemaining, dueDate, daysSinceUpdate = 0, now = new Date()) {
+    if (typeof daysRemaining === 'number' && !isNaN(daysRemaining)) {
+      return daysRemaining - daysSinceUpdate;
+    }
+
+    return LoanDates.daysUntil(dueDate, now);
+  }
+
+  /**
+   * Format days left for summaries and autocomplete lists
+   * @param {number|null} daysLeft - Days left
+   * @returns {string} e.g. "5d", "3d overdue!" or "?d"
+   */
+  static formatDaysLeft(daysLeft) {
+    if (daysLeft === null || daysLeft === undefined) return '?d';
+
+    return daysLeft < 0 ? `${Math.abs(daysLeft)}d overdue!` : `${daysLeft}d`;
+  }
+
+  /**
+   * Order loans by days left, unknown last
+   * @param {number|null} a - Days left
+   * @param {number|null} b - Days left
+   * @returns {number} Sort order
+   */
+  static compareDaysLeft(a, b) {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+    return a - b;
+  }
+
+  static _isValid(date) {
+    if (!date || !date.year) return false;
+
+    const check = new Date(Date.UTC(date.year, date.month - 1, date.day));
+    return check.getUTCFullYear() === date.year && check.getUTCMonth() === date.month - 1 && check.getUTCDate() === date.day;
+  }
+
+}
+
+module.exports = LoanDates;
@@ -0,0 +1,248 @@
+'use strict';
+
+const LibraryProvider = require('./LibraryProvider');
+const OpeningHours = require('./OpeningHours');
+const LoanDates = require('./LoanDates');
+
+/**
+ * Loan model merging the loans overview API with the HTML loan details
+ * Every loan gets a stable `id` of the form `<accountId>:<key>`, where the key is
+ * the copy id from the overview (id, itemId or barcode) when available, and the
+ * catalogue record and loan date from the details page otherwise. Loans without
+ * details fall back to the normalized title; when the details page could not be
+ * read, the provider keeps the previous details so the ids don't change. Only
+ * copies that still share a key are suffixed with #2, #3... The extend_loan_id is
+ * only used for matching: it disappears from the page as soon as a loan can no
+ * longer be extended, and copies of one title can share it.
+ */
+class LoanModel {
+
+  /**
+   * Normalize a title for matching (case, accents, punctuation and spacing)
+   * @param {string} title - Title as shown by the API or the page
+   * @returns {string} Normalized title
+   */
+  static normalizeTitle(title) {
+    return (title || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Normalize a date for matching
+   * @param {string} text - Date text
+   * @returns {string} Date as YYYY-M-D, or an empty string if unparsable
+   */
+  static dateKey(text) {
+    const date = LoanDates.parseDate(text);
+    return date ? `${date.year}-${date.month}-${date.day}` : '';
+  }
+
+  /**
+   * Format a loan date as DD/MM/YYYY for flow tokens
+   * @param {string} text - Date text
+   * @returns {string} Formatted date, or the text itself if unparsable
+   */
+  static formatDate(text) {
+    const date = LoanDates.parseDate(text);
+    return date ? OpeningHours.formatDate(date) : (text || '');
+  }
+
+  /**
+   * Count the days a loan has been borrowed
+   * @param {Object} loan - Merged loan
+   * @param {Date} now - Current moment (defaults to now)
+   * @returns {number|null} Days since the loan date, null if unknown
+   */
+  static daysHeld(loan, now = new Date()) {
+    const from = LoanDates.parseDate(loan.loanFrom);
+    return from ? Math.max(OpeningHours.daysBetween(from, OpeningHours.localDate(now)), 0) : null;
+  }
+
+  /**
+   * Get the accounts whose loan details could not be read in a refresh
+   * Their loans may have other ids than the refresh before, so added and returned
+   * loans can't be told apart from the ids.
+   * @param {Object} data - Data from LibraryProvider.refreshAllData()
+   * @returns {Set<string>} Account IDs
+   */
+  static unreadAccounts(data) {
+    return new Set(Object.entries(data.userDetails || {})
+      .filter(([, user]) => user.loanDetailsFailed)
+      .map(([accountId]) => accountId));
+  }
+
+  /**
+   * Get the account of a loan id
+   * @param {string} loanId - Loan id of the form `<accountId>:<key>`
+   * @returns {string} Account ID
+   */
+  static accountIdOf(loanId) {
+    return loanId.slice(0, loanId.indexOf(':'));
+  }
+
+  /**
+   * Get the copy id of an overview loan, if the API provides one
+   * @param {Object} loan - Loan from the overview API
+   * @returns {string|null} Copy id
+   */
+  static copyId(loan) {
+    const id = loan.id ?? loan.itemId ?? loan.barcode;
+    return id ? String(id) : null;
+  }
+
+  /**
+   * Merge the overview loans and the loan details of all accounts
+   * @param {Object} data - Data from LibraryProvider.refreshAllData()
+   * @param {Function} Provider - Provider class of the data, whose libraryKey() names the libraries
+   * @returns {Object[]} Loans with { id, accountId, title, author, loanType, url, imageSrc,
+   *   dueDate, loanFrom, daysRemaining, extendLoanId, isExtendable, userName, libraryName, libraryKey }
+   *   where daysRemaining is the count scraped from the details page (null without details or a readable label)
+   */
+  static merge(data, Provider = LibraryProvider) {
+    const userDetails = data.userDetails || {};
+    const overviewByAccount = new Map();
+
+    // Assign the overview loans to their account
+    for (const loan of data.loans || []) {
+      const accountId = LoanModel._findAccountId(loan, userDetails);
+      if (!overviewByAccount.has(accountId)) {
+        overviewByAccount.set(accountId, []);
+      }
+      overviewByAccount.get(accountId).push(loan);
+    }
+
+    const accountIds = new Set([...Object.keys(userDetails), ...overviewByAccount.keys()]);
+    const loans = [];
+
+    for (const accountId of accountIds) {
+      loans.push(...LoanModel._mergeAccount(
+        accountId,
+        userDetails[accountId] || {},
+        overviewByAccount.get(accountId) || [],
+        Provider
+      ));
+    }
+
+    return loans;
+  }
+
+  /**
+   * Find the account of an overview loan
+   * @param {Object} loan - Loan from the overview API
+   * @param {Object} userDetails - User details keyed by account ID
+   * @returns {string} Account ID, or the borrower name for unknown accounts
+   */
+  static _findAccountId(loan, userDetails) {
+    if (loan.accountId !== undefined && loan.accountId !== null && userDetails[String(loan.accountId)]) {
+      return String(loan.accountId);
+    }
+
+    const byName = Object.entries(userDetails)
+      .find(([, user]) => loan.accountName && user.accountDetails?.userName === loan.accountName);
+    if (byName) {
+      return byName[0];
+    }
+
+    return String(loan.accountId ?? loan.accountName ?? 'unknown');
+  }
+
+  /**
+   * Match the overview loans of one account to its loan details
+   * @param {string} accountId - Account ID
+   * @param {Object} user - User details of the account
+   * @param {Object[]} overviewLoans - Overview loans of the account
+   * @param {Function} Provider - Provider class of the data
+   * @returns {Object[]} Merged loans
+   */
+  static _mergeAccount(accountId, user, overviewLoans, Provider) {
+    const unmatched = Object.values(user.loanDetails || {});
+    const pairs = [];
+
+    const take = predicate => {
+      const index = unmatched.findIndex(predicate);
+      return index === -1 ? null : unmatched.splice(index, 1)[0];
+    };
+
+    for (const loan of overviewLoans) {
+      const title = LoanModel.normalizeTitle(loan.title);
+      const due = LoanModel.dateKey(loan.dueDate);
+
+      // Same extend id, then same title and due date, then just the same title
+      const detail = (loan.extendLoanId && take(d => d.extendLoanId === loan.extendLoanId)) ||
+        take(d => LoanModel.normalizeTitle(d.title) === title && due && LoanModel.dateKey(d.loanTill) === due) ||
+        take(d => LoanModel.normalizeTitle(d.title) === title);
+
+      pairs.push({ loan, detail });
+    }
+
+    // Details the overview didn't list, unless they are left over from an earlier refresh
+    for (const detail of user.loanDetailsFailed ? [] : unmatched) {
+      pairs.push({ loan: null, detail });
+    }
+
+    const seen = new Map();
+    return pairs.map(({ loan, detail }) => {
+      const merged = LoanModel._build(accountId, user, loan, detail, Provider);
+
+      const key = (loan && LoanModel.copyId(loan)) || LoanModel._detailKey(detail) ||
+        LoanModel.normalizeTitle(merged.title) || 'unknown';
+      const count = (seen.get(key) || 0) + 1;
+      seen.set(key, count);
+      merged.id = `${accountId}:${count > 1 ? `${key}#${count}` : key}`;
+
+      return merged;
+    });
+  }
+
+  /**
+   * Key of a loan that survives extensions and the return of other copies
+   * @param {Object|null} detail - Loan details
+   * @returns {string|null} Catalogue record and loan date, null without a loan date
+   */
+  static _detailKey(detail) {
+    if (!detail?.loanFrom) return null;
+
+    const record = (detail.url || '').split('/').pop() || LoanModel.normalizeTitle(detail.title);
+    return `${record}|${LoanModel.dateKey(detail.loanFrom) || detail.loanFrom}`;
+  }
+
+  /**
+   * Build one loan from its overview entry and/or details
+   * @param {string} accountId - Account ID
+   * @param {Object} user - User details of the account
+   * @param {Object|null} loan - Overview loan
+   * @param {Object|null} detail - Loan details
+   * @param {Function} Provider - Provider class of the data
+   * @returns {Object} Merged loan (without id)
+   */
+  static _build(accountId, user, loan, detail, Provider) {
+    const account = user.accountDetails || {};
+    const libraryUrl = loan?.location?.libraryUrl || account.library || '';
+    const libraryKey = libraryUrl ? Provider.libraryKey(libraryUrl) : null;
+
+    return {
+      accountId,
+      title: loan?.title || detail?.title || 'Unknown',
+      author: loan?.author || detail?.author || '',
+      loanType: detail?.loanType || '',
+      url: detail?.url || '',
+      imageSrc: detail?.imageSrc || '',
+      dueDate: loan?.dueDate || detail?.loanTill || '',
+      loanFrom: detail?.loanFrom || '',
+      daysRemaining: detail && detail.daysRemaining !== undefined ? detail.daysRemaining : null,
+      extendLoanId: detail?.extendLoanId || loan?.extendLoanId || null,
+      isExtendable: loan?.isRenewable !== false && (detail ? !!detail.isExtendable : true),
+      userName: account.userName || loan?.accountName || 'Unknown',
+      libraryName: loan?.location?.libraryName || detail?.library || account.libraryName ||
+        (libraryKey ? libraryKey.charAt(0).toUpperCase() + libraryKey.slice(1) : 'Unknown'),
+      libraryKey
+    };
+  }
+
+}
+
+module.exports = LoanModel;
@@ -0,0 +1,113 @@
+'use strict';
+
+const OpeningHours = require('./OpeningHours');
+
+const CADENCES = ['once', 'daily', 'milestones'];
+const DEFAULT_MILESTONES = [7, 3, 1, 0];
+
+/**
+ * Persistent record of which reminders fired for which loan
+ * Entries are keyed by `<loanId>|<triggerId>` and remember the due date they were
+ * sent for, so an extended loan starts over. Store `toJSON()` in the device store.
+ */
+class NotificationLedger {
+
+  /**
+   * @param {Object} entries - Stored entries (from toJSON())
+   */
+  constructor(entries = {}) {
+    this.entries = { ...entries };
+    this.changed = false;
+  }
+
+  /**
+   * Parse a comma-separated list of days-left milestones
+   * @param {string} text - Milestones text, e.g. "7, 3, 1, 0"
+   * @returns {number[]} Milestones, highest first
+   */
+  static parseMilestones(text) {
+    const milestones = String(text ?? '')
+      .split(/[,;\s]+/)
+      .map(value => parseInt(value, 10))
+      .filter(value => !isNaN(value) && value >= 0);
+
+    return (milestones.length > 0 ? milestones : DEFAULT_MILESTONES).sort((a, b) => b - a);
+  }
+
+  /**
+   * Check if a reminder is due according to the cadence
+   * @param {string} loanId - Loan id
+   * @param {string} triggerId - Trigger card id
+   * @param {Object} options - { daysLeft, dueDate, cadence, milestones, date }
+   * @returns {boolean} True if the reminder should fire now
+   */
+  isDue(loanId, triggerId, { daysLeft, dueDate, cadence = 'once', milestones = DEFAULT_MILESTONES, date = new Date() }) {
+    const entry = this.entries[`${loanId}|${triggerId}`];
+    const sent = entry && entry.dueDate === dueDate ? entry : null;
+
+    switch (CADENCES.includes(cadence) ? cadence : 'once') {
+      case 'daily':
+        return !sent || sent.day !== NotificationLedger._dayKey(date);
+      case 'milestones': {
+        // The nearest milestone at or above the days left, so a missed one still fires late
+        const milestone = NotificationLedger._currentMilestone(daysLeft, milestones);
+        return milestone !== null && (!sent || sent.milestone !== milestone);
+      }
+      default:
+        return !sent;
+    }
+  }
+
+  /**
+   * Record that a reminder fired
+   * @param {string} loanId - Loan id
+   * @param {string} triggerId - Trigger card id
+   * @param {Object} options - { daysLeft, dueDate, milestones, date }
+   */
+  record(loanId, triggerId, { daysLeft, dueDate, milestones = DEFAULT_MILESTONES, date = new Date() }) {
+    this.entries[`${loanId}|${triggerId}`] = {
+      dueDate,
+      daysLeft,
+      milestone: NotificationLedger._currentMilestone(daysLeft, milestones),
+      day: NotificationLedger._dayKey(date)
+    };
+    this.changed = true;
+  }
+
+  /**
+   * Forget the entries of loans that are gone
+   * @param {Iterable<string>} loanIds - Ids of the current loans
+   * @param {Function} keep - Called with the loan id of an entry, true keeps it (e.g. loans that could not be read)
+   */
+  prune(loanIds, keep = () => false) {
+    const active = new Set(loanIds);
+
+    for (const key of Object.keys(this.entries)) {
+      const loanId = key.slice(0, key.lastIndexOf('|'));
+      if (!active.has(loanId) && !keep(loanId)) {
+        delete this.entries[key];
+        this.changed = true;
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} Entries for the device store
+   */
+  toJSON() {
+    return this.entries;
+  }
+
+  static _currentMilestone(daysLeft, milestones) {
+    const reached = milestones.filter(milestone => milestone >= daysLeft);
+    return reached.length > 0 ? Math.min(...reached) : null;
+  }
+
+  static _dayKey(date) {
+    const local = OpeningHours.localDate(date);
+    return `${local.year}-${local.month}-${local.day}`;
+  }
+
+}
+
+module.exports = NotificationLedger;
@@ -0,0 +1,279 @@
+'use strict';
+
+const TIMEZONE = 'Europe/Brussels';
+
+const WEEKDAYS = ['zo', 'ma', 'di', 'wo', 'do', 'vr', 'za'];
+
+const MONTHS = {
+  jan: 1, feb: 2, maa: 3, mrt: 3, apr: 4, mei: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, okt: 10, nov: 11, dec: 12
+};
+
+/**
+ * Opening hours schedule for a library branch
+ * Built from the output of BibliotheekAPI.getLibraryDetails(). All dates are
+ * interpreted on the Europe/Brussels wall clock, regardless of the Homey's timezone.
+ */
+class OpeningHours {
+
+  /**
+   * @param {Object} libraryDetails - Library details with hours and closedDates
+   */
+  constructor(libraryDetails = {}) {
+    this.weekly = OpeningHours.parseWeeklyHours(libraryDetails.hours || {});
+    this.closures = (libraryDetails.closedDates || [])
+      .map(closed => ({ ...OpeningHours.parseDate(closed.date), reason: closed.reason || '' }))
+      .filter(closed => closed.year);
+  }
+
+  /**
+   * Get the current Brussels wall-clock date
+   * @param {Date} date - Moment in time (defaults to now)
+   * @returns {Object} { year, month, day, weekday, minutes }
+   */
+  static localDate(date = new Date()) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-GB', {
+      timeZone: TIMEZONE,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hourCycle: 'h23'
+    }).formatToParts(date).forEach(part => {
+      parts[part.type] = parseInt(part.value, 10);
+    });
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+      minutes: parts.hour * 60 + parts.minute
+    };
+  }
+
+  /**
+   * Get the moment of the next Brussels midnight
+   * @param {Date} date - Moment in time (defaults to now)
+   * @returns {Date} Start of the next Brussels day
+   */
+  static nextMidnight(date = new Date()) {
+    const tomorrow = OpeningHours.addDays(OpeningHours.localDate(date), 1);
+    const utcMidnight = Date.UTC(tomorrow.year, tomorrow.month - 1, tomorrow.day);
+
+    // Brussels is UTC+1 in winter and UTC+2 in summer
+    for (const offsetHours of [1, 2]) {
+      const candidate = new Date(utcMidnight - offsetHours * 60 * 60 * 1000);
+      const local = OpeningHours.localDate(candidate);
+      if (local.day === tomorrow.day && local.minutes === 0) {
+        return candidate;
+      }
+    }
+
+    return new Date(utcMidnight - 60 * 60 * 1000);
+  }
+
+  /**
+   * Move a local date by a number of days
+   * @param {Object} local - Local date from localDate()
+   * @param {number} days - Days to add (negative to go back)
+   * @returns {Object} Local date at midnight
+   */
+  static addDays(local, days) {
+    const date = new Date(Date.UTC(local.year, local.month - 1, local.day + days));
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      weekday: date.getUTCDay(),
+      minutes: 0
+    };
+  }
+
+  /**
+   * Count calendar days between two local dates
+   * @param {Object} from - Local date
+   * @param {Object} to - Local date
+   * @returns {number} Days from `from` to `to` (negative if `to` is earlier)
+   */
+  static daysBetween(from, to) {
+    const fromMs = Date.UTC(from.year, from.month - 1, from.day);
+    const toMs = Date.UTC(to.year, to.month - 1, to.day);
+    return Math.round((toMs - fromMs) / (1000 * 60 * 60 * 24));
+  }
+
+  /**
+   * Count Brussels calendar days since a moment, e.g. the last data update
+   * @param {Date|string} date - Moment in the past
+   * @param {Date} now - Current moment (defaults to now)
+   * @returns {number} Days since, 0 if the date is invalid
+   */
+  static daysSince(date, now = new Date()) {
+    const then = new Date(date);
+    if (isNaN(then.getTime())) return 0;
+
+    return OpeningHours.daysBetween(OpeningHours.localDate(then), OpeningHours.localDate(now));
+  }
+
+  /**
+   * Format a local date as DD/MM/YYYY
+   * @param {Object} local - Local date
+   * @returns {string} Formatted date
+   */
+  static formatDate(local) {
+    return `${String(local.day).padStart(2, '0')}/${String(local.month).padStart(2, '0')}/${local.year}`;
+  }
+
+  /**
+   * Parse the per-day time lists into minute intervals
+   * @param {Object} hours - Times keyed by day label (e.g. { Maandag: ['10:00', '12:00', '13:00', '18:00'] })
+   * @returns {Array[]} Intervals per weekday index (0 = Sunday)
+   */
+  static parseWeeklyHours(hours) {
+    const weekly = WEEKDAYS.map(() => []);
+
+    for (const [dayLabel, times] of Object.entries(hours)) {
+      const weekday = WEEKDAYS.indexOf(dayLabel.trim().toLowerCase().slice(0, 2));
+      if (weekday === -1) continue;
+
+      const minutes = times.map(OpeningHours.parseTime).filter(time => time !== null);
+      for (let i = 0; i + 1 < minutes.length; i += 2) {
+        weekly[weekday].push({ from: minutes[i], till: minutes[i + 1] });
+      }
+    }
+
+    return weekly;
+  }
+
+  /**
+   * Parse a time like "09:00", "9u30" or "9.30"
+   * @param {string} text - Time text
+   * @returns {number|null} Minutes since midnight
+   */
+  static parseTime(text) {
+    const match = (text || '').match(/(\d{1,2})(?:[:.hu](\d{2}))?/);
+    if (!match) return null;
+
+    return parseInt(match[1], 10) * 60 + parseInt(match[2] || '0', 10);
+  }
+
+  /**
+   * Parse a Dutch date like "25/12/2025" or "donderdag 25 december 2025"
+   * @param {string} text - Date text
+   * @returns {Object} { year, month, day } or an empty object if unparsable
+   */
+  static parseDate(text) {
+    const value = (text || '').toLowerCase();
+
+    const numeric = value.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+    if (numeric) {
+      return { year: parseInt(numeric[3], 10), month: parseInt(numeric[2], 10), day: parseInt(numeric[1], 10) };
+    }
+
+    const written = value.match(/(\d{1,2})\s+([a-z]{3})[a-z]*\.?\s+(\d{4})/);
+    if (written && MONTHS[written[2]]) {
+      return { year: parseInt(written[3], 10), month: MONTHS[written[2]], day: parseInt(written[1], 10) };
+    }
+
+    return {};
+  }
+
+  /**
+   * Format minutes since midnight as HH:MM
+   * @param {number} minutes - Minutes since midnight
+   * @returns {string} Formatted time
+   */
+  static formatTime(minutes) {
+    const hours = Math.floor(minutes / 60);
+    return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get the exceptional closure for a day, if any
+   * @param {Object} local - Local date
+   * @returns {Object|null} Closure with reason
+   */
+  getClosure(local) {
+    return this.closures.find(closed =>
+      closed.year === local.year && closed.month === local.month && closed.day === local.day
+    ) || null;
+  }
+
+  /**
+   * Get the opening intervals for a day, taking closures into account
+   * @param {Object} local - Local date
+   * @returns {Object[]} Intervals in minutes since midnight
+   */
+  getIntervals(local) {
+    if (this.getClosure(local)) return [];
+    return this.weekly[local.weekday];
+  }
+
+  /**
+   * Whether the schedule contains any regular opening hours at all
+   * @returns {boolean} True if hours were parsed
+   */
+  hasHours() {
+    return this.weekly.some(intervals => intervals.length > 0);
+  }
+
+  /**
+   * Check if the library is open on a day at all
+   * @param {Object} local - Local date
+   * @returns {boolean} True if open at some point that day
+   */
+  isOpenOn(local) {
+    return this.getIntervals(local).length > 0;
+  }
+
+  /**
+   * Find the last day the library is open on or before a date
+   * @param {Object} local - Local date (e.g. a due date)
+   * @param {number} maxDays - How many days to look back
+   * @returns {Object|null} Local date, or null if no opening day was found
+   */
+  getLastOpenDay(local, maxDays = 14) {
+    for (let offset = 0; offset <= maxDays; offset++) {
+      const day = OpeningHours.addDays(local, -offset);
+      if (this.isOpenOn(day)) {
+        return day;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the current opening state and next change
+   * @param {Date} date - Moment in time (defaults to now)
+   * @returns {Object} { isOpen, closesAt, opensAt } with times formatted as HH:MM (prefixed with the weekday if not today)
+   */
+  getState(date = new Date()) {
+    const now = OpeningHours.localDate(date);
+    const current = this.getIntervals(now).find(interval =>
+      now.minutes >= interval.from && now.minutes < interval.till
+    );
+
+    if (current) {
+      return { isOpen: true, closesAt: OpeningHours.formatTime(current.till), opensAt: null };
+    }
+
+    // Find the next opening in the coming week
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = offset === 0 ? now : OpeningHours.addDays(now, offset);
+      const next = this.getIntervals(day).find(interval => offset > 0 || interval.from > now.minutes);
+
+      if (next) {
+        const time = OpeningHours.formatTime(next.from);
+        return { isOpen: false, closesAt: null, opensAt: offset === 0 ? time : `${WEEKDAYS[day.weekday]} ${time}` };
+      }
+    }
+
+    return { isOpen: false, closesAt: null, opensAt: null };
+  }
+
+}
+
+module.exports = OpeningHours;
@@ -0,0 +1,305 @@
+'use strict';
+
+const http = require('node:http');
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+
+const SCENARIO_DIR = path.join(__dirname, 'scenarios');
+const FIXTURE_DIR = path.join(__dirname, '..', 'test', 'fixtures');
+
+/**
+ * Local stand-in for bibliotheek.be and its login service
+ * Serves the OAuth login chain, the memberships, activities and overview APIs, the
+ * loans, holds, lists and extension pages and the library pages from the saved pages
+ * in test/fixtures, as described by a scenario from mock-server/scenarios.
+ *
+ * Usage: node mock-server/server.js [scenario] [--port 3000]
+ * Then set BIBLIOTHEEK_BASE_URL in env.json to http://<this computer's IP>:3000.
+ */
+class MockBibliotheekServer {
+
+  /**
+   * @param {Object} options - { scenario, port, host }
+   */
+  constructor({ scenario = 'default', port = 0, host = '127.0.0.1' } = {}) {
+    this.scenario = MockBibliotheekServer.loadScenario(scenario);
+    this.port = port;
+    this.host = host;
+    this.baseUrl = null;
+    this.requests = []; // "METHOD /path" of every request, for assertions
+    this._sessions = new Map(); // Session id -> data requests made with it
+    this._failures = (this.scenario.failures || []).map(failure => ({ ...failure }));
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch(err => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Mock server error: ${err.message}`);
+      });
+    });
+  }
+
+  /**
+   * Load a scenario, applying the scenario it extends
+   * @param {string} name - Scenario name (file name without .json) or path
+   * @returns {Object} Scenario
+   */
+  static loadScenario(name) {
+    const file = name.endsWith('.json') ? name : path.join(SCENARIO_DIR, `${name}.json`);
+    const scenario = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+    if (!scenario.extends) {
+      return scenario;
+    }
+
+    return MockBibliotheekServer._merge(MockBibliotheekServer.loadScenario(scenario.extends), scenario);
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the server
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this._server.once('error', reject);
+      this._server.listen(this.port, this.host, () => {
+        this.baseUrl = `http://${this.host}:${this._server.address().port}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and close open connections
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      this._server.closeAllConnections();
+      this._server.close(() => resolve());
+    });
+  }
+
+  async _handle(req, res) {
+    // Links point back at the host the client used, so the server also works from a Homey on the LAN
+    const origin = `http://${req.headers.host}`;
+    const url = new URL(req.url, origin);
+    const route = `${req.method} ${url.pathname}`;
+    const body = req.method === 'POST' ? await MockBibliotheekServer._readBody(req) : '';
+    this.requests.push(route);
+
+    // Scripted failures, e.g. a 500 on the first memberships request
+    const failure = this._failures.find(f => f.times > 0 && url.pathname === f.path);
+    if (failure) {
+      failure.times--;
+      const headers = failure.retryAfter ? { 'Retry-After': String(failure.retryAfter) } : {};
+      return this._send(res, failure.status, 'Scripted failure', 'text/plain', headers);
+    }
+
+    // Login chain
+    if (route === 'GET /mijn-bibliotheek/aanmelden') {
+      if (this._session(req)) {
+        return this._send(res, 200, '<p>Je bent aangemeld</p>');
+      }
+
+      const callback = `${origin}/my-library/login/callback`;
+      return this._redirect(res, 302,
+        `${origin}/openbibid/oauth/authorize?oauth_token=mock-token&hint=login&oauth_callback=${encodeURIComponent(callback)}`);
+    }
+    if (route === 'GET /openbibid/oauth/authorize') {
+      return this._send(res, 200, '<form class="login-form"><input name="email"><input name="password" type="password"></form>');
+    }
+    if (route === 'POST /openbibid/rest/auth/login') {
+      const form = new URLSearchParams(body);
+      const { email, password } = this.scenario.credentials;
+      if (form.get('email') !== email || form.get('password') !== password || form.get('token') !== 'mock-token') {
+        return this._send(res, 401, '<p>Ongeldige aanmeldgegevens</p>');
+      }
+      return this._redirect(res, 303, `${origin}/my-library/login/callback?oauth_token=mock-token&oauth_verifier=mock-verifier`);
+    }
+    if (route === 'GET /my-library/login/callback') {
+      const sessionId = crypto.randomBytes(8).toString('hex');
+      this._sessions.set(sessionId, 0);
+      return this._redirect(res, 302, `${origin}/mijn-bibliotheek`, {
+        'Set-Cookie': `SESS=${sessionId}; Path=/; HttpOnly`
+      });
+    }
+    if (route === 'POST /openbibid/rest/accessToken') {
+      return this._send(res, 200, 'ok', 'text/plain');
+    }
+
+    // Public library pages, the personal ones below /mijn-bibliotheek need a session
+    const library = url.pathname.match(/^\/library\/([a-z-]+)(\/.*)?$/);
+    if (library && req.method === 'GET' && !/^\/mijn-bibliotheek\//.test(library[2] || '')) {
+      if (library[2] === '/adres-en-openingsuren') {
+        return this._sendFixture(res, this.scenario.libraryPage);
+      }
+      return this._send(res, 404, '<p>Pagina niet gevonden</p>');
+    }
+
+    // Everything else needs a session
+    if (!this._useSession(req)) {
+      return this._redirect(res, 302, `${origin}/mijn-bibliotheek/aanmelden`);
+    }
+
+    return this._handleAuthenticated(req, res, url, route, origin);
+  }
+
+  _handleAuthenticated(req, res, url, route, origin) {
+    if (route === 'GET /mijn-bibliotheek/lidmaatschappen' || route === 'GET /mijn-bibliotheek') {
+      return this._send(res, 200, '<p>Mijn lidmaatschappen</p>');
+    }
+    if (route === 'GET /api/my-library/memberships') {
+      return this._sendJson(res, this._memberships(origin));
+    }
+    if (route === 'GET /my-library-overview-loans') {
+      return this._sendJson(res, this._fixtureJson(this.scenario.loans));
+    }
+    if (route === 'GET /my-library-overview-reservations') {
+      return this._sendJson(res, this._fixtureJson(this.scenario.reservations));
+    }
+    if (route === 'GET /mijn-bibliotheek/lijsten') {
+      return this._sendFixture(res, this.scenario.listsPage);
+    }
+    if (/^GET \/my-library\/list\/\d+\/list-items$/.test(route)) {
+      return this._sendJson(res, this._fixtureJson(this.scenario.listItems));
+    }
+
+    if (/^GET \/library\/[a-z-]+\/mijn-bibliotheek\/leenhistoriek$/.test(route)) {
+      return this._sendFixture(res, this.scenario.historyPage);
+    }
+
+    const activities = route.match(/^GET \/api\/my-library\/(\d+)\/activities$/);
+    if (activities) {
+      const account = this.scenario.accounts[activities[1]];
+      return account ? this._sendJson(res, account.activities) : this._send(res, 404, 'Unknown account', 'text/plain');
+    }
+
+    const page = url.pathname.match(/^\/my-library\/memberships\/(\d+)\/(loans|holds|loans\/extend)$/);
+    if (page) {
+      const account = this.scenario.accounts[page[1]] || {};
+
+      switch (`${req.method} ${page[2]}`) {
+        case 'GET loans':
+          return this._sendFixture(res, account.loansPage);
+        case 'GET holds':
+          return this._sendFixture(res, account.holdsPage);
+        case 'GET loans/extend':
+          return this._sendFixture(res, this.scenario.extendFormPage);
+        case 'POST loans/extend':
+          return this._sendFixture(res, this.scenario.extendResultPage);
+        default:
+          break;
+      }
+    }
+
+    return this._send(res, 404, '<p>Pagina niet gevonden</p>');
+  }
+
+  /**
+   * Memberships with the library links pointing at this server
+   * @param {string} origin - Origin the client used
+   * @returns {Object} Memberships API response
+   */
+  _memberships(origin) {
+    const json = JSON.stringify(this._fixtureJson(this.scenario.memberships));
+    return JSON.parse(json.replace(/https:\/\/([a-z-]+)\.bibliotheek\.be/g, `${origin}/library/$1`));
+  }
+
+  /**
+   * Get the session of a request
+   * @param {http.IncomingMessage} req - Request
+   * @returns {string|null} Session id, if the session is valid
+   */
+  _session(req) {
+    const match = (req.headers.cookie || '').match(/(?:^|;\s*)SESS=([a-f0-9]+)/);
+    return match && this._sessions.has(match[1]) ? match[1] : null;
+  }
+
+  /**
+   * Count a data request against the session, expiring it as the scenario says
+   * @param {http.IncomingMessage} req - Request
+   * @returns {boolean} True if the session was valid
+   */
+  _useSession(req) {
+    const sessionId = this._session(req);
+    if (!sessionId) {
+      return false;
+    }
+
+    const used = this._sessions.get(sessionId) + 1;
+    const limit = this.scenario.expireSessionAfter;
+    if (limit !== null && limit !== undefined && used > limit) {
+      this._sessions.delete(sessionId);
+      return false;
+    }
+
+    this._sessions.set(sessionId, used);
+    return true;
+  }
+
+  _fixtureJson(name) {
+    return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+  }
+
+  _sendFixture(res, name) {
+    if (!name) {
+      return this._send(res, 404, '<p>Pagina niet gevonden</p>');
+    }
+    return this._send(res, 200, fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8'));
+  }
+
+  _sendJson(res, data) {
+    return this._send(res, 200, JSON.stringify(data), 'application/json');
+  }
+
+  _redirect(res, status, location, headers = {}) {
+    return this._send(res, status, '', 'text/html', { ...headers, Location: location });
+  }
+
+  _send(res, status, body, contentType = 'text/html; charset=utf-8', headers = {}) {
+    res.writeHead(status, { 'Content-Type': contentType, ...headers });
+    res.end(body);
+  }
+
+  static _readBody(req) {
+    return new Promise((resolve, reject) => {
+      let body = '';
+      req.setEncoding('utf8');
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => resolve(body));
+      req.on('error', reject);
+    });
+  }
+
+  static _merge(base, override) {
+    const merged = { ...base };
+
+    for (const [key, value] of Object.entries(override)) {
+      merged[key] = value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object'
+        ? MockBibliotheekServer._merge(base[key], value)
+        : value;
+    }
+
+    delete merged.extends;
+    return merged;
+  }
+
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex === -1 ? 3000 : parseInt(args[portIndex + 1], 10);
+  const scenario = args.find((arg, index) => !arg.startsWith('--') && index !== portIndex + 1) || 'default';
+
+  const server = new MockBibliotheekServer({ scenario, port, host: '0.0.0.0' });
+  server.start().then(() => {
+    const { email, password } = server.scenario.credentials;
+    console.log(`Mock bibliotheek.be (${scenario}) listening on port ${port}: ${server.scenario.description}`);
+    console.log(`Log in with ${email} / ${password}`);
+  });
+}
+
+module.exports = MockBibliotheekServer;
@@ -0,0 +1,21 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const Amounts = require('../lib/Amounts');
+
+describe('Amounts', () => {
+  it('parses euro amounts', () => {
+    assert.equal(Amounts.parse('€ 1,50'), 1.5);
+    assert.equal(Amounts.parse('1.234,00'), 1234);
+    assert.equal(Amounts.parse(2), 2);
+  });
+
+  it('returns 0 for missing or unparsable amounts', () => {
+    assert.equal(Amounts.parse(undefined), 0);
+    assert.equal(Amounts.parse(''), 0);
+    assert.equal(Amounts.parse('geen'), 0);
+    assert.equal(Amounts.parse(NaN), 0);
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/homey');
+const BibliotheekApp = require('../app');
+
+/**
+ * Refresh task that runs until released
+ * @param {string[]} runs - Receives the name of every task that starts
+ * @param {string} name - Task name
+ * @returns {Object} { task, release() }
+ */
+function blockingTask(runs, name) {
+  let release = null;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+
+  return {
+    task: async () => {
+      runs.push(name);
+      await done;
+      return name;
+    },
+    release: () => release()
+  };
+}
+
+describe('BibliotheekApp.refresh', () => {
+  let app = null;
+  let runs = null;
+
+  beforeEach(async () => {
+    app = new BibliotheekApp({ homey: createHomey() });
+    await app.onInit();
+    runs = [];
+  });
+
+  it('joins a refresh that is already running', async () => {
+    const first = blockingTask(runs, 'first');
+    const running = app.refresh('account', first.task);
+    const joined = app.refresh('account', async () => 'second');
+
+    first.release();
+    assert.deepEqual(await Promise.all([running, joined]), ['first', 'first']);
+    assert.deepEqual(runs, ['first']);
+  });
+
+  it('runs a full refresh after an incremental one instead of joining it', async () => {
+    const incremental = blockingTask(runs, 'incremental');
+    const running = app.refresh('account', incremental.task);
+    const full = app.refresh('account', async () => {
+      runs.push('full');
+      return 'full';
+    }, { full: true });
+    const joined = app.refresh('account', async () => 'ignored');
+
+    incremental.release();
+    assert.deepEqual(await Promise.all([running, full, joined]), ['incremental', 'full', 'full']);
+    assert.deepEqual(runs, ['incremental', 'full']);
+  });
+});
+
+describe('BibliotheekApp.reportParserHealth', () => {
+  it('notifies once when a page breaks, naming the provider', async () => {
+    const homey = createHomey();
+    const app = new BibliotheekApp({ homey });
+    await app.onInit();
+
+    const broken = { ok: false, selector: '.loan', message: 'No loans found', checkedAt: '2026-10-18T10:00:00Z' };
+    app.reportParserHealth('loans', { ok: true, selector: null, message: '', checkedAt: '2026-10-18T09:00:00Z' }, 'Bibliotheek.be');
+    app.reportParserHealth('loans', broken, 'Bibliotheek.be');
+    app.reportParserHealth('loans', broken, 'Bibliotheek.be');
+
+    assert.deepEqual(homey.notifications.sent.map(notification => notification.excerpt), [
+      'Bibliotheek.be: the loans page could not be read (.loan). The site may have changed, check for an app update.'
+    ]);
+    assert.deepEqual(homey.triggered.map(trigger => trigger.id), ['scraper_broken']);
+  });
+});
@@ -0,0 +1,264 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const BibliotheekParser = require('../lib/BibliotheekParser');
+const { ParseError } = require('../lib/BibliotheekErrors');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+describe('parseLoansPage', () => {
+  const loans = Object.values(BibliotheekParser.parseLoansPage(fixture('loans.html'), '100001'));
+
+  it('parses the loans of every library wrapper', () => {
+    assert.equal(loans.length, 5);
+    assert.deepEqual(loans.map(loan => loan.library), ['Gent', 'Gent', 'Gent', 'Antwerpen', 'Antwerpen']);
+  });
+
+  it('parses the fields of a loan', () => {
+    assert.deepEqual(loans[0], {
+      title: 'Het testboek',
+      author: 'Achternaam, Voornaam',
+      loanType: 'Boek',
+      url: 'https://gent.bibliotheek.be/catalogus/voornaam-achternaam/het-testboek/boek/library-marc-vlacc_0000001',
+      imageSrc: 'https://webservices.bibliotheek.be/index.php?func=cover&ISBN=9789000000011',
+      daysRemaining: 5,
+      loanFrom: '01/10/2026',
+      loanTill: '29/10/2026',
+      extendLoanId: '1111111',
+      library: 'Gent',
+      accountId: '100001',
+      isExtendable: true
+    });
+  });
+
+  it('parses "nog 1 dag"', () => {
+    assert.equal(loans[1].daysRemaining, 1);
+  });
+
+  it('leaves the cover empty when a loan has none', () => {
+    assert.equal(loans[1].imageSrc, '');
+  });
+
+  it('marks loans without an extend checkbox as not extendable', () => {
+    assert.equal(loans[1].extendLoanId, '');
+    assert.equal(loans[1].isExtendable, false);
+  });
+
+  it('parses overdue loans', () => {
+    assert.equal(loans[2].title, 'Te laat');
+    assert.equal(loans[2].daysRemaining, -3);
+    assert.equal(loans[2].loanTill, '15/10/2026');
+    assert.equal(loans[2].isExtendable, false);
+  });
+
+  it('leaves the days remaining unknown without a readable label', () => {
+    const html = fixture('loans.html').replace('nog 5 dagen', '').replace('nog 1 dag', 'binnenkort');
+    const [first, second] = Object.values(BibliotheekParser.parseLoansPage(html, '100001'));
+    assert.equal(first.daysRemaining, null);
+    assert.equal(second.daysRemaining, null);
+  });
+
+  it('keeps several copies of the same title apart', () => {
+    const keys = Object.keys(BibliotheekParser.parseLoansPage(fixture('loans.html'), '100001'));
+    assert.deepEqual(keys.slice(3), ['Dubbel album2222222', 'Dubbel album2222222#2']);
+  });
+
+  it('finds nothing in changed markup, and reports the missing wrapper', () => {
+    const html = fixture('loans-changed-markup.html');
+    const { loanWrapper, loan } = BibliotheekParser.SELECTORS;
+
+    assert.deepEqual(BibliotheekParser.parseLoansPage(html, '100001'), {});
+    assert.equal(BibliotheekParser.findMissingSelector(html, [loanWrapper, loan]), loanWrapper);
+    assert.equal(BibliotheekParser.findMissingSelector(fixture('loans.html'), [loanWrapper, loan]), null);
+  });
+});
+
+describe('parseHoldsPage', () => {
+  const [ready, queued] = Object.values(BibliotheekParser.parseHoldsPage(fixture('holds.html'), '100001'));
+
+  it('parses a reservation that is ready for pickup', () => {
+    assert.equal(ready.title, 'Klaar boek');
+    assert.equal(ready.status, 'Klaar om af te halen tot 24/10/2026');
+    assert.equal(ready.isReady, true);
+    assert.equal(ready.pickupDeadline, '24/10/2026');
+    assert.equal(ready.pickupLocation, 'Hoofdbibliotheek De Krook');
+    assert.equal(ready.queuePosition, null);
+    assert.equal(ready.holdId, '3333333');
+    assert.equal(ready.library, 'Gent');
+  });
+
+  it('parses the queue position of a waiting reservation', () => {
+    assert.equal(queued.isReady, false);
+    assert.equal(queued.queuePosition, 4);
+    assert.equal(queued.pickupDeadline, '');
+    assert.equal(queued.imageSrc, '');
+  });
+});
+
+describe('parseLoanHistoryPage', () => {
+  const { entries, nextHref } = BibliotheekParser.parseLoanHistoryPage(fixture('loan-history.html'));
+
+  it('parses the entries with a stable id', () => {
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[0], {
+      id: 'library-marc-vlacc_0000007|01/09/2026',
+      title: 'Oud boek',
+      author: 'Achternaam, Voornaam',
+      loanType: 'Boek',
+      url: 'https://gent.bibliotheek.be/catalogus/voornaam-achternaam/oud-boek/boek/library-marc-vlacc_0000007',
+      loanFrom: '01/09/2026',
+      returnedOn: '20/09/2026'
+    });
+  });
+
+  it('falls back to defaults for missing fields', () => {
+    assert.equal(entries[1].author, '');
+    assert.equal(entries[1].loanType, 'Unknown');
+  });
+
+  it('finds the link to the next page', () => {
+    assert.equal(nextHref, '?page=1');
+  });
+});
+
+describe('parseLibraryPage', () => {
+  const url = 'https://gent.bibliotheek.be/adres-en-openingsuren';
+  const library = BibliotheekParser.parseLibraryPage(fixture('library.html'), url);
+
+  it('parses the opening hours per day', () => {
+    assert.deepEqual(library.hours, {
+      maandag: ['10:00', '19:00'],
+      dinsdag: ['10:00', '19:00'],
+      woensdag: ['10:00', '12:30', '13:30', '19:00'],
+      zondag: []
+    });
+  });
+
+  it('parses the contact details', () => {
+    assert.equal(library.url, 'https://gent.bibliotheek.be');
+    assert.equal(library.libraryNameFromUrl, 'gent');
+    assert.equal(library.address, 'Voorbeeldstraat 1, 9000 Gent');
+    assert.equal(library.lat, '51.0500');
+    assert.equal(library.lon, '3.7250');
+    assert.equal(library.phone, '09 000 00 00');
+    assert.equal(library.email, 'bibliotheek@example.be');
+  });
+
+  it('parses the closing days', () => {
+    assert.deepEqual(library.closedDates, [
+      { date: '1 november 2026', reason: 'Allerheiligen' },
+      { date: '11 november 2026', reason: 'Wapenstilstand' }
+    ]);
+  });
+
+  it('returns no hours for a page without library article', () => {
+    const other = BibliotheekParser.parseLibraryPage(fixture('loans.html'), url);
+    assert.equal(other.hours, undefined);
+    assert.equal(other.libraryNameFromUrl, 'gent');
+  });
+});
+
+describe('parseListsPage', () => {
+  it('parses the lists from the Vue.js attribute', () => {
+    assert.deepEqual(BibliotheekParser.parseListsPage(fixture('lists.html')), [
+      {
+        id: '123456',
+        name: 'Te lezen',
+        url: 'https://bibliotheek.be/mijn-bibliotheek/lijsten/123456',
+        numItems: 2,
+        lastChanged: '2026-10-01T12:00:00+02:00'
+      },
+      {
+        id: '654321',
+        name: 'Voor de kinderen',
+        url: 'https://bibliotheek.be/mijn-bibliotheek/lijsten/654321',
+        numItems: 0,
+        lastChanged: '2026-09-15T08:30:00+02:00'
+      }
+    ]);
+  });
+
+  it('returns null without lists data', () => {
+    assert.equal(BibliotheekParser.parseListsPage(fixture('loans.html')), null);
+  });
+
+  it('throws a ParseError for invalid lists data', () => {
+    assert.throws(() => BibliotheekParser.parseListsPage('<item-lists-overview :lists="[{"></item-lists-overview>'), ParseError);
+    assert.throws(() => BibliotheekParser.parseListsPage('<item-lists-overview :lists="[{}]"></item-lists-overview>'), ParseError);
+  });
+
+  it('maps the list items', () => {
+    const items = BibliotheekParser.parseListItems(JSON.parse(fixture('list-items.json')));
+    assert.equal(items.length, 2);
+    assert.equal(items[0].cover, 'https://webservices.bibliotheek.be/index.php?func=cover&ISBN=9789000000059');
+    assert.deepEqual(items[1], { title: 'Zonder auteur', author: '', url: '', cover: '', id: 'library-marc-vlacc_0000010' });
+  });
+});
+
+describe('parseExtensionForm', () => {
+  it('collects the named form fields', () => {
+    const { fields, error } = BibliotheekParser.parseExtensionForm(fixture('extend-form.html'));
+    assert.deepEqual(fields, [
+      ['loan-ids', '1111111,2222222'],
+      ['form_build_id', 'form-anonymized'],
+      ['form_id', 'my_library_extend_loan_form'],
+      ['op', 'Verlengen']
+    ]);
+    assert.equal(error, '');
+  });
+
+  it('returns the error shown instead of the form', () => {
+    const { fields, error } = BibliotheekParser.parseExtensionForm(fixture('extend-refused-page.html'));
+    assert.equal(fields, null);
+    assert.equal(error, 'Deze uitlening kan niet verlengd worden: ze is gereserveerd door een andere lener.');
+  });
+});
+
+describe('parseExtensionResults', () => {
+  it('parses a result per loan', () => {
+    assert.deepEqual(BibliotheekParser.parseExtensionResults(fixture('extend-result.html'), ['1111111', '2222222', '9999999']), [
+      { extendLoanId: '1111111', title: 'Het testboek', status: 'extended', reason: '', newDueDate: '26/11/2026' },
+      {
+        extendLoanId: '2222222',
+        title: 'Dubbel album',
+        status: 'refused',
+        reason: 'Niet verlengd: maximum aantal verlengingen bereikt',
+        newDueDate: ''
+      },
+      { extendLoanId: '9999999', title: '', status: 'unknown', reason: '', newDueDate: '' }
+    ]);
+  });
+
+  it('falls back to the page messages', () => {
+    const extended = BibliotheekParser.parseExtensionResults(fixture('extend-status-only.html'), ['1111111']);
+    assert.equal(extended[0].status, 'extended');
+
+    const refused = BibliotheekParser.parseExtensionResults(fixture('extend-refused-page.html'), ['1111111']);
+    assert.equal(refused[0].status, 'refused');
+    assert.match(refused[0].reason, /gereserveerd/);
+  });
+
+  it('does not read a refusal in the status message as extended', () => {
+    const html = '<div class="messages messages--status">Uw uitlening kon niet verlengd worden.</div>';
+    const [result] = BibliotheekParser.parseExtensionResults(html, ['1111111']);
+
+    assert.equal(result.status, 'refused');
+    assert.equal(result.reason, 'Uw uitlening kon niet verlengd worden.');
+  });
+});
+
+describe('parseMemberships', () => {
+  it('collects the accounts of array and per-library regions, skipping accounts with errors', () => {
+    const accounts = BibliotheekParser.parseMemberships(JSON.parse(fixture('memberships.json')));
+    assert.deepEqual(accounts.map(account => account.id), [100001, 100002]);
+  });
+
+  it('handles an empty response', () => {
+    assert.deepEqual(BibliotheekParser.parseMemberships({}), []);
+    assert.deepEqual(BibliotheekParser.parseMemberships(null), []);
+  });
+});
@@ -0,0 +1,307 @@
+'use strict';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+require('./helpers/homey');
+const LibraryAccountDevice = require('../drivers/library-account/device');
+const NotificationLedger = require('../lib/NotificationLedger');
+const OpeningHours = require('../lib/OpeningHours');
+const { AuthenticationError } = require('../lib/BibliotheekErrors');
+
+const SETTINGS = { poll_interval: 30, adaptive_polling: true, poll_align_opening_hours: true };
+
+// 14:00 and 02:00 on a Sunday in Brussels (CEST)
+const AFTERNOON = new Date('2026-10-18T12:00:00Z');
+const NIGHT = new Date('2026-10-18T00:00:00Z');
+
+/**
+ * Account device with the loans, reservations and libraries of the last refresh
+ * @param {Object} state - { loans, reservations, libraries } with days left per loan
+ * @returns {LibraryAccountDevice} Device
+ */
+function deviceWith({ loans = [], reservations = [], libraries = [] } = {}) {
+  const device = new LibraryAccountDevice();
+  device._previousLoans = new Map(loans.map((daysLeft, index) => [`loan${index}`, { daysLeft }]));
+  device._previousReservations = new Map(reservations.map((isReady, index) => [`hold${index}`, { isReady }]));
+  device._openingHours = new Map(libraries.map((isOpen, index) => [`library${index}`, {
+    hasHours: () => true,
+    getState: () => ({ isOpen })
+  }]));
+  return device;
+}
+
+/**
+ * Account device with the state onInit sets up, ready for _processData()
+ * @returns {LibraryAccountDevice} Device
+ */
+function processingDevice() {
+  return Object.assign(deviceWith(), {
+    _ledger: new NotificationLedger(),
+    _loanStateKnown: false,
+    _unreadAccounts: new Set(),
+    _unreadHolds: new Set(),
+    _lastChanceDays: new Map(),
+    _pickupDays: new Map(),
+    _previousDaysRemaining: null,
+    _previousOpenAmounts: new Map()
+  });
+}
+
+describe('_getPollDelay', () => {
+  it('polls at the configured interval on a normal day', () => {
+    assert.equal(deviceWith({ loans: [10], libraries: [true] })._getPollDelay(SETTINGS, AFTERNOON), 30);
+  });
+
+  it('pauses overnight until the morning', () => {
+    assert.equal(deviceWith({ loans: [1] })._getPollDelay(SETTINGS, NIGHT), 5 * 60);
+  });
+
+  it('halves the interval when a loan is due or a reservation is waiting', () => {
+    assert.equal(deviceWith({ loans: [1, 10] })._getPollDelay(SETTINGS, AFTERNOON), 15);
+    assert.equal(deviceWith({ loans: [10], reservations: [true] })._getPollDelay(SETTINGS, AFTERNOON), 15);
+    assert.equal(deviceWith({ loans: [0] })._getPollDelay({ ...SETTINGS, poll_interval: 15 }, AFTERNOON), 10);
+  });
+
+  it('does not count loans with unknown days left as due', () => {
+    assert.equal(deviceWith({ loans: [null] })._getPollDelay(SETTINGS, AFTERNOON), 30);
+  });
+
+  it('polls four times slower when nothing is borrowed or reserved', () => {
+    assert.equal(deviceWith()._getPollDelay(SETTINGS, AFTERNOON), 120);
+  });
+
+  it('polls twice slower while every library is closed', () => {
+    assert.equal(deviceWith({ loans: [10], libraries: [false, false] })._getPollDelay(SETTINGS, AFTERNOON), 60);
+    assert.equal(deviceWith({ loans: [10], libraries: [false, false] })
+      ._getPollDelay({ ...SETTINGS, poll_align_opening_hours: false }, AFTERNOON), 30);
+  });
+
+  it('keeps the fixed interval without adaptive polling', () => {
+    assert.equal(deviceWith()._getPollDelay({ ...SETTINGS, adaptive_polling: false }, NIGHT), 30);
+  });
+});
+
+describe('_setupPolling', () => {
+  it('schedules the next poll when a refresh fails', async () => {
+    const device = deviceWith({ loans: [10] });
+    const delays = [];
+    let poll = null;
+    device._authFailure = null;
+    device._getPollDelay = () => 30;
+    device.homey.setTimeout = (fn, ms) => {
+      delays.push(ms);
+      poll = fn;
+      return delays.length;
+    };
+    device.refreshData = async () => {
+      throw new Error('Lane failed');
+    };
+
+    device._setupPolling(SETTINGS);
+    await poll();
+
+    assert.deepEqual(delays, [30 * 60 * 1000, 30 * 60 * 1000]);
+  });
+});
+
+describe('_openAuthenticationCircuit', () => {
+  it('pauses polling and asks for a repair', async () => {
+    const device = deviceWith();
+    device.api = { resetSession: () => {} };
+
+    await device._openAuthenticationCircuit(new AuthenticationError('Onjuist wachtwoord'));
+
+    assert.equal(device.getAvailable(), false);
+    assert.match(device.unavailableMessage, /^Re-authentication required/);
+    assert.equal(device.homey.triggered[0].id, 'authentication_failed');
+  });
+});
+
+describe('_runAutoExtend', () => {
+  it('does not retry a loan without due date that was already attempted', async () => {
+    const device = deviceWith();
+    const extended = [];
+    await device.setSettings({ auto_extend_enabled: true, auto_extend_days: 3 });
+    await device.setStoreValue('autoExtendLog', [{ extendLoanId: '1111111', dueDate: '', status: 'refused' }]);
+    device._extendLoanGroups = async groups => {
+      extended.push(...groups);
+      return { results: [], extendedCount: 0, refusedCount: 0 };
+    };
+
+    await device._runAutoExtend({
+      userDetails: {
+        100001: {
+          loans: { url: 'https://gent.bibliotheek.be/my-library/memberships/100001/loans' },
+          loanDetails: { loan: { title: 'Te laat', extendLoanId: '1111111', daysRemaining: 1, isExtendable: true } }
+        }
+      }
+    });
+
+    assert.deepEqual(extended, []);
+  });
+});
+
+describe('loan_added and loan_returned', () => {
+  const RECORD = 'https://gent.bibliotheek.be/catalogus/auteur/titel/boek/library-marc-vlacc_';
+
+  /**
+   * Refresh data of one account borrowing the given titles
+   * @param {string[]} titles - Titles on loan
+   * @param {boolean} detailsRead - Whether the loans page could be read
+   * @returns {Object} Data as returned by refreshAllData()
+   */
+  const dataWith = (titles, detailsRead = true) => ({
+    loans: titles.map(title => ({ title, dueDate: '05/11/2099', accountId: 1 })),
+    userDetails: {
+      1: {
+        accountDetails: { userName: 'Jan', library: 'https://gent.bibliotheek.be' },
+        loanDetailsFailed: !detailsRead || undefined,
+        loanDetails: detailsRead ? Object.fromEntries(titles.map((title, index) => [title, {
+          title, url: `${RECORD}${index}`, loanFrom: '01/10/2099', loanTill: '05/11/2099', daysRemaining: 30
+        }])) : {}
+      }
+    }
+  });
+
+  it('are not fired while the loans page cannot be read', async () => {
+    const device = processingDevice();
+    const changes = () => device.homey.triggered.filter(trigger => ['loan_added', 'loan_returned'].includes(trigger.id));
+
+    await device._processData(dataWith(['Boek A', 'Boek B']), false);
+    await device._processData(dataWith(['Boek A', 'Boek B'], false), true);
+    await device._processData(dataWith(['Boek A', 'Boek B']), true);
+    assert.deepEqual(changes(), []);
+
+    await device._processData(dataWith(['Boek A']), true);
+    assert.deepEqual(changes().map(trigger => `${trigger.id} ${trigger.tokens.book_title}`), ['loan_returned Boek B']);
+  });
+});
+
+describe('reservation_ready', () => {
+  /**
+   * Refresh data of one account with a hold waiting at the desk
+   * @param {boolean} holdsRead - Whether the holds page could be read
+   * @returns {Object} Data as returned by refreshAllData()
+   */
+  const dataWith = (holdsRead = true) => ({
+    loans: [],
+    userDetails: {
+      1: {
+        accountDetails: { userName: 'Jan', library: 'https://gent.bibliotheek.be' },
+        reservationDetailsFailed: !holdsRead || undefined,
+        reservationDetails: holdsRead ? {
+          1: { title: 'Klaar boek', holdId: '1', isReady: true, pickupLocation: 'Gent', pickupDeadline: '24/10/2099' }
+        } : {}
+      }
+    }
+  });
+
+  it('is not fired again after the holds page could not be read', async () => {
+    const device = processingDevice();
+    const ready = () => device.homey.triggered.filter(trigger => trigger.id === 'reservation_ready');
+
+    await device._processData(dataWith(), true);
+    await device._processData(dataWith(false), true);
+    await device._processData(dataWith(), true);
+
+    assert.equal(ready().length, 1);
+  });
+});
+
+describe('_refreshLibraryHours', () => {
+  it('keeps the previous schedule of a library whose page could not be read', async () => {
+    const device = deviceWith();
+    const gent = { hours: { maandag: ['10:00', '18:00'] }, closedDates: [] };
+    await device.setStoreValue('libraryHours', { gent });
+    device.api = {
+      getLibraryDetails: async url => {
+        if (url.includes('gent')) throw new Error('Failed to fetch library details: 404');
+        return { hours: { dinsdag: ['09:00', '12:00'] }, closedDates: [] };
+      }
+    };
+
+    await device._refreshLibraryHours({
+      libraryDetails: { gent: 'https://gent.bibliotheek.be', brugge: 'https://brugge.bibliotheek.be' }
+    });
+
+    assert.deepEqual(Object.keys(device.getStoreValue('libraryHours')), ['gent', 'brugge']);
+    assert.deepEqual(device.getStoreValue('libraryHours').gent, gent);
+    assert.equal(device.getStoreValue('libraryHoursUpdated'), undefined);
+  });
+});
+
+describe('countdown triggers', () => {
+  afterEach(() => mock.timers.reset());
+
+  const data = {
+    loans: [{ title: 'Het testboek', dueDate: '23/10/2026', accountId: 1 }],
+    userDetails: {
+      1: {
+        accountDetails: { userName: 'Jan', library: 'https://gent.bibliotheek.be' },
+        reservationDetails: {
+          1: { title: 'Klaar boek', holdId: '1', isReady: true, pickupLocation: 'Gent', pickupDeadline: '24/10/2026' }
+        }
+      }
+    }
+  };
+
+  it('wait for the morning after the midnight recompute', async () => {
+    const device = processingDevice();
+    const countdowns = () => device.homey.triggered
+      .filter(trigger => ['loan_last_return_day', 'reservation_pickup_expiring'].includes(trigger.id))
+      .map(trigger => `${trigger.id} ${trigger.tokens.days_left}`);
+
+    // 14:00 on Saturday 17 October, 00:30 and 08:00 on Sunday in Brussels
+    mock.timers.enable({ apis: ['Date'], now: new Date('2026-10-17T12:00:00Z') });
+    await device._processData(data, true);
+    assert.deepEqual(countdowns(), ['loan_last_return_day 6', 'reservation_pickup_expiring 7']);
+
+    mock.timers.setTime(new Date('2026-10-17T22:30:00Z').getTime());
+    await device._processData(data, true);
+    assert.equal(countdowns().length, 2);
+
+    mock.timers.setTime(new Date('2026-10-18T06:00:00Z').getTime());
+    await device._processData(data, true);
+    assert.deepEqual(countdowns().slice(2), ['loan_last_return_day 5', 'reservation_pickup_expiring 6']);
+  });
+});
+
+describe('_calculateLastReturnDays', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('does not pick a last opening day that already passed as the next visit', () => {
+    const device = deviceWith();
+    device._openingHours.set('gent', new OpeningHours({
+      hours: { dinsdag: ['10:00', '18:00'], vrijdag: ['10:00', '18:00'], zaterdag: ['10:00', '13:00'] }
+    }));
+    const loans = new Map([
+      ['monday', { libraryKey: 'gent', daysLeft: 1 }],
+      ['friday', { libraryKey: 'gent', daysLeft: 5 }]
+    ]);
+
+    // Sunday 18 October in Brussels: the Monday loan could last be returned on Saturday
+    mock.timers.enable({ apis: ['Date'], now: AFTERNOON });
+    const nextVisit = device._calculateLastReturnDays(loans);
+
+    assert.equal(loans.get('monday').lastReturnDaysLeft, -1);
+    assert.equal(nextVisit, loans.get('friday'));
+    assert.equal(nextVisit.lastReturnDay, '23/10/2026');
+  });
+});
+
+describe('_refreshData', () => {
+  it('warns in the user language when it falls back to cached data', async () => {
+    const device = processingDevice();
+    device._authFailure = null;
+    device.api = {
+      refreshAllData: async () => {
+        throw new Error('Request timed out');
+      }
+    };
+    await device.setStoreValue('lastData', { loans: [], userDetails: {}, lastUpdated: new Date().toISOString() });
+
+    assert.equal(await device._refreshData(), false);
+    assert.equal(device.warning, 'Showing cached data: Request timed out');
+  });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/homey');
+const LibraryBranchDevice = require('../drivers/library-branch/device');
+
+// 00:30 and 08:00 on Sunday 18 October 2026 in Brussels (CEST)
+const AFTER_MIDNIGHT = new Date('2026-10-17T22:30:00Z');
+const MORNING = new Date('2026-10-18T06:00:00Z');
+
+/**
+ * Branch device whose library is closed today
+ * @returns {LibraryBranchDevice} Device
+ */
+function closedBranch() {
+  const device = new LibraryBranchDevice({ homey: createHomey() });
+  device._previousOpen = false;
+  device._openingHours = { getClosure: () => ({ reason: 'Verkiezingen' }) };
+  return device;
+}
+
+describe('branch_closed_today', () => {
+  afterEach(() => mock.timers.reset());
+
+  it('waits for the morning', async () => {
+    const device = closedBranch();
+
+    mock.timers.enable({ apis: ['Date'], now: AFTER_MIDNIGHT });
+    await device._checkAndTriggerFlows({ isOpen: false });
+    assert.deepEqual(device.homey.triggered, []);
+
+    mock.timers.setTime(MORNING.getTime());
+    await device._checkAndTriggerFlows({ isOpen: false });
+    await device._checkAndTriggerFlows({ isOpen: false });
+    assert.deepEqual(device.homey.triggered.map(trigger => trigger.tokens.reason), ['Verkiezingen']);
+  });
+});
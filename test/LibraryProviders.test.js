@@ -0,0 +1,70 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BibliotheekAPI = require('../lib/BibliotheekAPI');
+const LibraryProvider = require('../lib/LibraryProvider');
+const LibraryProviders = require('../lib/LibraryProviders');
+const { NotSupportedError } = require('../lib/BibliotheekErrors');
+
+describe('LibraryProviders', () => {
+  it('registers bibliotheek.be as the default provider', () => {
+    assert.equal(LibraryProviders.DEFAULT, 'bibliotheek_be');
+    assert.equal(LibraryProviders.get(), BibliotheekAPI);
+    assert.equal(LibraryProviders.get('bibliotheek_be'), BibliotheekAPI);
+    assert.deepEqual(LibraryProviders.list(), [{ id: 'bibliotheek_be', name: 'Bibliotheek.be' }]);
+  });
+
+  it('refuses unknown providers', () => {
+    assert.throws(() => LibraryProviders.get('elders'), /Unknown library provider: elders/);
+  });
+
+  it('reads the bibliotheek.be server from env.json', () => {
+    const options = BibliotheekAPI.optionsFromEnv({ BIBLIOTHEEK_BASE_URL: 'http://127.0.0.1:3000' });
+    const api = new BibliotheekAPI({ log: () => {} }, null, options);
+
+    assert.equal(api.baseUrl, 'http://127.0.0.1:3000');
+    assert.equal(api.authUrl, 'http://127.0.0.1:3000');
+  });
+});
+
+describe('LibraryProvider', () => {
+  class PartialProvider extends LibraryProvider {
+
+    static get id() {
+      return 'partial';
+    }
+
+    async login() {
+      this.authenticated = true;
+      this.logins = (this.logins || 0) + 1;
+      return true;
+    }
+
+    async _fetchAllData() {
+      if (this.logins === 1 && !this.expired) {
+        this.expired = true;
+        throw Object.assign(new Error('Session expired'), { sessionExpired: true });
+      }
+      return { userDetails: {} };
+    }
+
+  }
+
+  it('logs in again when the session expired during a refresh', async () => {
+    const provider = new PartialProvider({ log: () => {} });
+    provider.authenticated = true;
+    provider.logins = 1;
+
+    assert.deepEqual(await provider.refreshAllData('lener', 'geheim'), { userDetails: {} });
+    assert.equal(provider.logins, 2);
+  });
+
+  it('throws NotSupportedError for operations a provider leaves out', async () => {
+    const provider = new PartialProvider({ log: () => {} });
+
+    await assert.rejects(provider.extendLoans('', ['1']), NotSupportedError);
+    await assert.rejects(provider.getLoanHistory(''), /partial does not support loan history/);
+  });
+});
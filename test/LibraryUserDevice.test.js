@@ -0,0 +1,122 @@
+'use strict';
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createHomey } = require('./helpers/homey');
+const LibraryUserDevice = require('../drivers/library-user/device');
+
+const CAPABILITIES = [
+  'user_days_remaining', 'user_loan_count', 'user_reservation_count', 'user_loans_expiring_soon',
+  'user_some_not_extendable', 'user_open_amount', 'user_loans_this_month', 'user_loans_this_year', 'user_favourite_author'
+];
+
+const hold = (holdId, isReady) => ({
+  title: `Boek ${holdId}`, holdId, isReady, pickupLocation: 'Gent', pickupDeadline: isReady ? '24/10/2099' : ''
+});
+
+/**
+ * Account data with the given reservations for account 100001
+ * @param {Object[]} holds - Reservation details
+ * @returns {Object} Data as stored by the account device
+ */
+function dataWith(holds) {
+  return {
+    lastUpdated: new Date().toISOString(),
+    loans: [],
+    userDetails: {
+      100001: {
+        accountDetails: { userName: 'Jan' },
+        reservations: { count: holds.length },
+        reservationDetails: Object.fromEntries(holds.map(h => [h.holdId, h]))
+      }
+    }
+  };
+}
+
+describe('LibraryUserDevice reservation triggers', () => {
+  const homey = createHomey();
+  after(() => homey.clearTimers());
+
+  const account = {
+    providerId: 'bibliotheek_be',
+    data: dataWith([hold('1', true)]),
+    getData: () => ({ id: 'lener@example.com' }),
+    getSettings: () => ({}),
+    getStoreValue(key) {
+      return key === 'lastData' ? this.data : null;
+    }
+  };
+  homey.drivers.getDriver = () => ({ getDevices: () => [account] });
+
+  const device = new LibraryUserDevice({
+    homey,
+    data: { id: '100001', accountDeviceId: 'lener@example.com' },
+    store: { userId: '100001', userName: 'Jan' },
+    capabilities: CAPABILITIES
+  });
+
+  it('does not fire for holds that were already ready before a restart', async () => {
+    await device.onInit();
+    await device._refreshFromAccountDevice();
+
+    assert.deepEqual(homey.triggered, []);
+    assert.equal(device.getCapabilityValue('user_reservation_count'), 1);
+  });
+
+  it('fires once a hold becomes ready', async () => {
+    account.data = dataWith([hold('1', true), hold('2', true)]);
+    await device._refreshFromAccountDevice();
+
+    assert.deepEqual(homey.triggered.map(t => `${t.id} ${t.tokens.book_title}`), [
+      'user_reservation_ready Boek 2',
+      'user_reservation_pickup_expiring Boek 2'
+    ]);
+  });
+
+  it('does not fire again after the holds page could not be read', async () => {
+    homey.triggered.length = 0;
+    account.data = { ...dataWith([]), userDetails: { 100001: { reservationDetailsFailed: true, reservationDetails: {} } } };
+    await device._refreshFromAccountDevice();
+    account.data = dataWith([hold('1', true), hold('2', true)]);
+    await device._refreshFromAccountDevice();
+
+    assert.deepEqual(homey.triggered, []);
+  });
+});
+
+describe('_calculateReadingStats', () => {
+  const device = new LibraryUserDevice({ homey: createHomey(), capabilities: CAPABILITIES });
+
+  const entries = [
+    { loanFrom: '01/01/2027', author: 'Tuck', loanType: 'Boek' },
+    { loanFrom: '31/12/2026', author: 'Tuck', loanType: 'Boek' },
+    { loanFrom: '15/12/2026', author: 'Claus', loanType: 'Strip' },
+    { loanFrom: '2026-06-30T23:30:00Z', author: 'Mortier', loanType: 'Boek' },
+    { loanFrom: '', author: 'Onbekend' }
+  ];
+
+  it('counts loans in the Brussels month and year', () => {
+    // 23:30 UTC on New Year's Eve is already 1 January in Brussels
+    const stats = device._calculateReadingStats(entries, new Date('2026-12-31T23:30:00Z'));
+
+    assert.equal(stats.loansThisMonth, 1);
+    assert.equal(stats.loansThisYear, 1);
+  });
+
+  it('converts ISO loan dates to the Brussels day', () => {
+    // Loaned 1 July in Brussels
+    const stats = device._calculateReadingStats(entries, new Date('2026-07-10T10:00:00Z'));
+
+    assert.equal(stats.loansThisMonth, 1);
+    assert.equal(stats.loansThisYear, 3);
+  });
+
+  it('ranks authors and counts media types', () => {
+    const stats = device._calculateReadingStats(entries, new Date('2026-12-20T10:00:00Z'));
+
+    assert.deepEqual(stats.favouriteAuthors, ['Tuck', 'Claus', 'Mortier']);
+    assert.deepEqual(stats.mediaTypes, { Boek: 3, Strip: 1, Unknown: 1 });
+    assert.equal(stats.loansThisMonth, 2);
+  });
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const LoanDates = require('../lib/LoanDates');
+
+// Noon on 18 October 2026 in Brussels
+const NOW = new Date('2026-10-18T10:00:00Z');
+
+describe('parseDaysLeft', () => {
+  it('parses the counted labels', () => {
+    assert.equal(LoanDates.parseDaysLeft('nog 5 dagen'), 5);
+    assert.equal(LoanDates.parseDaysLeft('Nog 1 dag'), 1);
+    assert.equal(LoanDates.parseDaysLeft('nog 0 dagen'), 0);
+    assert.equal(LoanDates.parseDaysLeft('nog één dag'), 1);
+  });
+
+  it('parses overdue labels as negative', () => {
+    assert.equal(LoanDates.parseDaysLeft('3 dagen te laat'), -3);
+    assert.equal(LoanDates.parseDaysLeft('1 dag te laat'), -1);
+  });
+
+  it('parses the relative days', () => {
+    assert.equal(LoanDates.parseDaysLeft('Vandaag terugbrengen'), 0);
+    assert.equal(LoanDates.parseDaysLeft('morgen'), 1);
+    assert.equal(LoanDates.parseDaysLeft('overmorgen'), 2);
+    assert.equal(LoanDates.parseDaysLeft('gisteren'), -1);
+  });
+
+  it('returns null instead of 0 for missing or unknown labels', () => {
+    assert.equal(LoanDates.parseDaysLeft(''), null);
+    assert.equal(LoanDates.parseDaysLeft(undefined), null);
+    assert.equal(LoanDates.parseDaysLeft('te laat'), null);
+    assert.equal(LoanDates.parseDaysLeft('binnenkort'), null);
+  });
+});
+
+describe('parseDate', () => {
+  it('parses numeric, written and ISO dates', () => {
+    assert.deepEqual(LoanDates.parseDate('29/10/2026'), { year: 2026, month: 10, day: 29 });
+    assert.deepEqual(LoanDates.parseDate('donderdag 29 oktober 2026'), { year: 2026, month: 10, day: 29 });
+    assert.deepEqual(LoanDates.parseDate('2026-10-29'), { year: 2026, month: 10, day: 29 });
+  });
+
+  it('reads ISO timestamps on the Brussels calendar', () => {
+    assert.deepEqual(LoanDates.parseDate('2026-10-28T23:30:00Z'), { year: 2026, month: 10, day: 29 });
+  });
+
+  it('refuses impossible and unparsable dates', () => {
+    assert.equal(LoanDates.parseDate('31/02/2026'), null);
+    assert.equal(LoanDates.parseDate('binnenkort'), null);
+    assert.equal(LoanDates.parseDate(''), null);
+  });
+});
+
+describe('daysLeft', () => {
+  it('counts the days until a due date, negative when overdue', () => {
+    assert.equal(LoanDates.daysUntil('29/10/2026', NOW), 11);
+    assert.equal(LoanDates.daysUntil('18/10/2026', NOW), 0);
+    assert.equal(LoanDates.daysUntil('15/10/2026', NOW), -3);
+    assert.equal(LoanDates.daysUntil('', NOW), null);
+  });
+
+  it('prefers the scraped count, corrected for the days since it was read', () => {
+    assert.equal(LoanDates.daysLeft(5, '29/10/2026', 2, NOW), 3);
+    assert.equal(LoanDates.daysLeft(0, '29/10/2026', 0, NOW), 0);
+  });
+
+  it('falls back to the due date, and tells unknown from zero', () => {
+    assert.equal(LoanDates.daysLeft(null, '15/10/2026', 0, NOW), -3);
+    assert.equal(LoanDates.daysLeft(null, '', 0, NOW), null);
+    assert.equal(LoanDates.daysLeft(undefined, 'onbekend', 0, NOW), null);
+  });
+
+  it('formats and sorts unknown days left', () => {
+    assert.equal(LoanDates.formatDaysLeft(5), '5d');
+    assert.equal(LoanDates.formatDaysLeft(-3), '3d overdue!');
+    assert.equal(LoanDates.formatDaysLeft(null), '?d');
+    assert.deepEqual([null, 4, -1].sort(LoanDates.compareDaysLeft), [-1, 4, null]);
+  });
+});
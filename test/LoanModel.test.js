@@ -0,0 +1,68 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BibliotheekAPI = require('../lib/BibliotheekAPI');
+const LoanModel = require('../lib/LoanModel');
+
+const RECORD = 'https://gent.bibliotheek.be/catalogus/auteur/dubbel-album/strip/library-marc-vlacc_0000004';
+
+const overview = title => ({ title, dueDate: '05/11/2026', accountId: 1, location: { libraryUrl: 'https://gent.bibliotheek.be' } });
+const detail = (loanFrom, extendLoanId) => ({
+  title: 'Dubbel album', url: RECORD, loanFrom, loanTill: '05/11/2026', daysRemaining: 18, extendLoanId, isExtendable: !!extendLoanId
+});
+
+/**
+ * Loan data of one account with copies of the same title, borrowed on the given dates
+ * @param {string[]} loanDates - Loan date per copy
+ * @returns {Object} Data as returned by refreshAllData()
+ */
+function dataWith(loanDates) {
+  return {
+    loans: loanDates.map(() => overview('Dubbel album')),
+    userDetails: {
+      1: {
+        accountDetails: { userName: 'Jan', library: 'https://gent.bibliotheek.be' },
+        loanDetails: Object.fromEntries(loanDates.map((loanFrom, index) => [`copy${index}`, detail(loanFrom, '2222222')]))
+      }
+    }
+  };
+}
+
+describe('LoanModel.merge', () => {
+  it('keys copies of the same title by record and loan date', () => {
+    const ids = LoanModel.merge(dataWith(['01/10/2026', '08/10/2026'])).map(loan => loan.id);
+    assert.deepEqual(ids, ['1:library-marc-vlacc_0000004|2026-10-1', '1:library-marc-vlacc_0000004|2026-10-8']);
+  });
+
+  it('keeps the id of a copy when another copy is returned', () => {
+    const before = LoanModel.merge(dataWith(['01/10/2026', '08/10/2026']));
+    const after = LoanModel.merge(dataWith(['08/10/2026']));
+    assert.equal(after[0].id, before[1].id);
+  });
+
+  it('keeps the id when the loan can no longer be extended', () => {
+    const extendable = LoanModel.merge(dataWith(['01/10/2026']));
+    const data = dataWith(['01/10/2026']);
+    data.userDetails[1].loanDetails.copy0.extendLoanId = '';
+    assert.equal(LoanModel.merge(data)[0].id, extendable[0].id);
+  });
+
+  it('numbers copies that share record and loan date', () => {
+    const ids = LoanModel.merge(dataWith(['01/10/2026', '01/10/2026'])).map(loan => loan.id);
+    assert.deepEqual(ids, ['1:library-marc-vlacc_0000004|2026-10-1', '1:library-marc-vlacc_0000004|2026-10-1#2']);
+  });
+
+  it('leaves out loans that only the previous details list', () => {
+    const data = dataWith(['01/10/2026', '08/10/2026']);
+    data.loans.pop();
+    data.userDetails[1].loanDetailsFailed = true;
+    assert.equal(LoanModel.merge(data).length, 1);
+  });
+
+  it('names the libraries through the provider', () => {
+    assert.equal(LoanModel.merge(dataWith(['01/10/2026']), BibliotheekAPI)[0].libraryKey, 'gent');
+    assert.equal(LoanModel.merge(dataWith(['01/10/2026']))[0].libraryKey, 'gent.bibliotheek.be');
+  });
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const NotificationLedger = require('../lib/NotificationLedger');
+
+const DUE = '2026-10-23';
+// Noon on 18 and 19 October 2026, and 00:30 on 19 October in Brussels
+const TODAY = new Date('2026-10-18T10:00:00Z');
+const TOMORROW = new Date('2026-10-19T10:00:00Z');
+const AFTER_MIDNIGHT = new Date('2026-10-18T22:30:00Z');
+
+/**
+ * Record a reminder when it is due
+ * @param {NotificationLedger} ledger - Ledger
+ * @param {Object} options - isDue()/record() options
+ * @returns {boolean} Whether the reminder fired
+ */
+function remind(ledger, options) {
+  if (!ledger.isDue('1:boek', 'loan_expiring', options)) return false;
+  ledger.record('1:boek', 'loan_expiring', options);
+  return true;
+}
+
+describe('parseMilestones', () => {
+  it('parses and sorts the milestones', () => {
+    assert.deepEqual(NotificationLedger.parseMilestones('1, 7;3 0'), [7, 3, 1, 0]);
+  });
+
+  it('falls back to the defaults without valid milestones', () => {
+    assert.deepEqual(NotificationLedger.parseMilestones(''), [7, 3, 1, 0]);
+    assert.deepEqual(NotificationLedger.parseMilestones('geen, -2'), [7, 3, 1, 0]);
+    assert.deepEqual(NotificationLedger.parseMilestones(undefined), [7, 3, 1, 0]);
+  });
+});
+
+describe('isDue', () => {
+  it('reminds once per due date by default', () => {
+    const ledger = new NotificationLedger();
+
+    assert.equal(remind(ledger, { daysLeft: 5, dueDate: DUE, date: TODAY }), true);
+    assert.equal(remind(ledger, { daysLeft: 4, dueDate: DUE, date: TOMORROW }), false);
+    assert.equal(ledger.changed, true);
+  });
+
+  it('treats an unknown cadence as once', () => {
+    const ledger = new NotificationLedger();
+
+    assert.equal(remind(ledger, { daysLeft: 5, dueDate: DUE, cadence: 'hourly', date: TODAY }), true);
+    assert.equal(remind(ledger, { daysLeft: 4, dueDate: DUE, cadence: 'hourly', date: TOMORROW }), false);
+  });
+
+  it('reminds once per Brussels day with the daily cadence', () => {
+    const ledger = new NotificationLedger();
+    const daily = { daysLeft: 5, dueDate: DUE, cadence: 'daily' };
+
+    assert.equal(remind(ledger, { ...daily, date: TODAY }), true);
+    assert.equal(remind(ledger, { ...daily, date: TODAY }), false);
+    assert.equal(remind(ledger, { ...daily, date: AFTER_MIDNIGHT }), true);
+    assert.equal(remind(ledger, { ...daily, date: TOMORROW }), false);
+  });
+
+  it('reminds at each milestone reached', () => {
+    const ledger = new NotificationLedger();
+    const fired = [7, 6, 4, 3, 2, 1, 0].filter(daysLeft =>
+      remind(ledger, { daysLeft, dueDate: DUE, cadence: 'milestones', milestones: [7, 3, 1, 0] }));
+
+    assert.deepEqual(fired, [7, 3, 1, 0]);
+  });
+
+  it('still fires a missed milestone late', () => {
+    const ledger = new NotificationLedger();
+    const milestones = { dueDate: DUE, cadence: 'milestones', milestones: [7, 3, 1, 0] };
+
+    assert.equal(remind(ledger, { ...milestones, daysLeft: 8 }), false);
+    assert.equal(remind(ledger, { ...milestones, daysLeft: 5 }), true);
+    assert.equal(ledger.entries['1:boek|loan_expiring'].milestone, 7);
+    assert.equal(remind(ledger, { ...milestones, daysLeft: 2 }), true);
+    assert.equal(ledger.entries['1:boek|loan_expiring'].milestone, 3);
+  });
+
+  it('starts over when the loan was extended', () => {
+    const ledger = new NotificationLedger();
+
+    assert.equal(remind(ledger, { daysLeft: 1, dueDate: DUE, date: TODAY }), true);
+    assert.equal(remind(ledger, { daysLeft: 21, dueDate: '2026-11-13', date: TODAY }), true);
+    assert.equal(remind(ledger, { daysLeft: 20, dueDate: '2026-11-13', date: TOMORROW }), false);
+  });
+
+  it('keeps triggers apart', () => {
+    const ledger = new NotificationLedger();
+    remind(ledger, { daysLeft: 5, dueDate: DUE });
+
+    assert.equal(ledger.isDue('1:boek', 'loan_last_return_day', { daysLeft: 5, dueDate: DUE }), true);
+    assert.equal(ledger.isDue('1:ander', 'loan_expiring', { daysLeft: 5, dueDate: DUE }), true);
+  });
+
+  it('picks up stored entries', () => {
+    const stored = new NotificationLedger();
+    remind(stored, { daysLeft: 5, dueDate: DUE });
+    const ledger = new NotificationLedger(JSON.parse(JSON.stringify(stored)));
+
+    assert.equal(remind(ledger, { daysLeft: 4, dueDate: DUE }), false);
+    assert.equal(ledger.changed, false);
+  });
+});
+
+describe('prune', () => {
+  it('forgets loans that are gone', () => {
+    const ledger = new NotificationLedger();
+    remind(ledger, { daysLeft: 5, dueDate: DUE });
+    ledger.record('2:ander', 'loan_expiring', { daysLeft: 5, dueDate: DUE });
+    ledger.changed = false;
+
+    ledger.prune(['2:ander']);
+
+    assert.deepEqual(Object.keys(ledger.toJSON()), ['2:ander|loan_expiring']);
+    assert.equal(ledger.changed, true);
+  });
+
+  it('keeps the loans the predicate asks for', () => {
+    const ledger = new NotificationLedger();
+    remind(ledger, { daysLeft: 5, dueDate: DUE });
+    ledger.changed = false;
+
+    ledger.prune([], loanId => loanId.startsWith('1:'));
+
+    assert.deepEqual(Object.keys(ledger.toJSON()), ['1:boek|loan_expiring']);
+    assert.equal(ledger.changed, false);
+  });
+
+  it('reminds again for a loan borrowed again after it was pruned', () => {
+    const ledger = new NotificationLedger();
+    remind(ledger, { daysLeft: 5, dueDate: DUE });
+
+    ledger.prune([]);
+
+    assert.equal(remind(ledger, { daysLeft: 5, dueDate: DUE }), true);
+  });
+});
@@ -0,0 +1,77 @@
+'use strict';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const OpeningHours = require('../lib/OpeningHours');
+
+// Open Tuesday to Saturday, closed on Sunday and Monday
+const hours = new OpeningHours({
+  hours: {
+    dinsdag: ['10:00', '12:00', '13:00', '18:00'],
+    woensdag: ['10:00', '18:00'],
+    donderdag: ['10:00', '18:00'],
+    vrijdag: ['10:00', '18:00'],
+    zaterdag: ['10:00', '13:00']
+  },
+  closedDates: [{ date: 'woensdag 21 oktober 2026', reason: 'Personeelsdag' }]
+});
+
+const day = (year, month, dayOfMonth) => OpeningHours.addDays({ year, month, day: dayOfMonth }, 0);
+
+describe('getLastOpenDay', () => {
+  it('returns the day itself when the library is open', () => {
+    assert.deepEqual(hours.getLastOpenDay(day(2026, 10, 20)), day(2026, 10, 20));
+  });
+
+  it('goes back over the weekly closing days', () => {
+    assert.deepEqual(hours.getLastOpenDay(day(2026, 10, 19)), day(2026, 10, 17));
+  });
+
+  it('skips exceptional closing days', () => {
+    assert.deepEqual(hours.getLastOpenDay(day(2026, 10, 21)), day(2026, 10, 20));
+  });
+
+  it('gives up without opening hours', () => {
+    assert.equal(new OpeningHours().getLastOpenDay(day(2026, 10, 20)), null);
+  });
+});
+
+describe('getState', () => {
+  it('is open within an interval', () => {
+    assert.deepEqual(hours.getState(new Date('2026-10-20T09:00:00Z')), { isOpen: true, closesAt: '12:00', opensAt: null });
+  });
+
+  it('opens again after the lunch break', () => {
+    assert.deepEqual(hours.getState(new Date('2026-10-20T10:30:00Z')), { isOpen: false, closesAt: null, opensAt: '13:00' });
+  });
+
+  it('names the weekday of the next opening on another day', () => {
+    // Saturday 17:00, next opening on Tuesday
+    assert.deepEqual(hours.getState(new Date('2026-10-17T15:00:00Z')), { isOpen: false, closesAt: null, opensAt: 'di 10:00' });
+    // Tuesday 19:00, Wednesday is a closing day
+    assert.deepEqual(hours.getState(new Date('2026-10-20T17:00:00Z')), { isOpen: false, closesAt: null, opensAt: 'do 10:00' });
+  });
+
+  it('has no next opening without opening hours', () => {
+    assert.deepEqual(new OpeningHours().getState(), { isOpen: false, closesAt: null, opensAt: null });
+  });
+});
+
+describe('nextMidnight', () => {
+  it('returns the next Brussels midnight in summer and winter time', () => {
+    assert.equal(OpeningHours.nextMidnight(new Date('2026-07-01T12:00:00Z')).toISOString(), '2026-07-01T22:00:00.000Z');
+    assert.equal(OpeningHours.nextMidnight(new Date('2026-12-01T12:00:00Z')).toISOString(), '2026-12-01T23:00:00.000Z');
+  });
+
+  it('returns the start of the next day just after midnight', () => {
+    assert.equal(OpeningHours.nextMidnight(new Date('2026-07-01T22:00:00Z')).toISOString(), '2026-07-02T22:00:00.000Z');
+  });
+
+  it('handles the days the clocks change', () => {
+    // 25 October 2026 lasts 25 hours, 29 March 2026 only 23
+    assert.equal(OpeningHours.nextMidnight(new Date('2026-10-25T12:00:00Z')).toISOString(), '2026-10-25T23:00:00.000Z');
+    assert.equal(OpeningHours.nextMidnight(new Date('2026-03-28T12:00:00Z')).toISOString(), '2026-03-28T23:00:00.000Z');
+    assert.equal(OpeningHours.nextMidnight(new Date('2026-03-29T12:00:00Z')).toISOString(), '2026-03-29T22:00:00.000Z');
+  });
+});
@@ -0,0 +1,213 @@
+'use strict';
+
+const Module = require('node:module');
+const path = require('node:path');
+
+/**
+ * Stand-in for the homey module that the Homey runtime provides to apps
+ * Requiring this file makes require('homey') resolve to it, so drivers and devices
+ * can be loaded in tests. Timers are real but don't keep the test process alive.
+ */
+
+const resolveFilename = Module._resolveFilename;
+Module._resolveFilename = function(request, ...args) {
+  return request === 'homey' ? __filename : resolveFilename.call(this, request, ...args);
+};
+
+const locales = require(path.join(__dirname, '..', '..', 'locales', 'en.json'));
+
+/**
+ * Create a Homey instance that records what the app does with it
+ * @param {Object} options - { app }
+ * @returns {Object} Homey instance with `triggered` (fired flow cards) and `notifications.sent`
+ */
+function createHomey({ app = null } = {}) {
+  const cards = new Map();
+  const timers = new Set();
+  const settings = {};
+
+  const homey = {
+    app,
+    triggered: [], // { id, tokens, state } per fired trigger card
+    log: () => {},
+    error: () => {},
+    __: (key, tags = {}) => {
+      const text = key.split('.').reduce((value, part) => (value ? value[part] : undefined), locales) || key;
+      return text.replace(/__(\w+)__/g, (tag, name) => (name in tags ? tags[name] : tag));
+    },
+    clock: { getTimezone: () => 'Europe/Brussels' },
+    settings: {
+      get: key => settings[key],
+      set: (key, value) => {
+        settings[key] = value;
+      }
+    },
+    drivers: {
+      getDriver: () => ({ getDevices: () => [] })
+    },
+    notifications: {
+      sent: [],
+      createNotification: async notification => {
+        homey.notifications.sent.push(notification);
+      }
+    },
+    flow: {},
+    setTimeout: (fn, ms) => track(setTimeout(fn, ms)),
+    clearTimeout: timer => clearTimeout(timer),
+    setInterval: (fn, ms) => track(setInterval(fn, ms)),
+    clearInterval: timer => clearInterval(timer),
+    /** Stop every timer that is still pending */
+    clearTimers: () => {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+
+  function track(timer) {
+    timer.unref();
+    timers.add(timer);
+    return timer;
+  }
+
+  function card(id) {
+    if (!cards.has(id)) {
+      cards.set(id, {
+        id,
+        trigger: async (...args) => {
+          // Device cards get the device first, app cards only tokens and state
+          const [tokens, state] = typeof args[0]?.getData === 'function' ? args.slice(1) : args;
+          homey.triggered.push({ id, tokens, state });
+        },
+        registerRunListener() {
+          return this;
+        },
+        registerArgumentAutocompleteListener() {
+          return this;
+        }
+      });
+    }
+    return cards.get(id);
+  }
+
+  for (const type of ['getDeviceTriggerCard', 'getTriggerCard', 'getConditionCard', 'getActionCard']) {
+    homey.flow[type] = card;
+  }
+
+  return homey;
+}
+
+class SimpleClass {
+
+  log() {}
+
+  error() {}
+
+}
+
+class Device extends SimpleClass {
+
+  /**
+   * @param {Object} options - { homey, data, settings, store, capabilities }
+   */
+  constructor({ homey = createHomey(), data = {}, settings = {}, store = {}, capabilities = [] } = {}) {
+    super();
+    this.homey = homey;
+    this._data = data;
+    this._settings = { ...settings };
+    this._store = JSON.parse(JSON.stringify(store));
+    this._capabilities = Object.fromEntries(capabilities.map(capability => [capability, null]));
+    this._available = true;
+    this.warning = null;
+  }
+
+  getData() {
+    return this._data;
+  }
+
+  getName() {
+    return `Device ${this._data.id}`;
+  }
+
+  getSetting(key) {
+    return this._settings[key];
+  }
+
+  getSettings() {
+    return this._settings;
+  }
+
+  async setSettings(settings) {
+    Object.assign(this._settings, settings);
+  }
+
+  getStoreValue(key) {
+    return this._store[key];
+  }
+
+  async setStoreValue(key, value) {
+    this._store[key] = JSON.parse(JSON.stringify(value));
+  }
+
+  async unsetStoreValue(key) {
+    delete this._store[key];
+  }
+
+  hasCapability(capability) {
+    return capability in this._capabilities;
+  }
+
+  async addCapability(capability) {
+    this._capabilities[capability] = null;
+  }
+
+  async removeCapability(capability) {
+    delete this._capabilities[capability];
+  }
+
+  getCapabilityValue(capability) {
+    return this._capabilities[capability];
+  }
+
+  async setCapabilityValue(capability, value) {
+    if (!this.hasCapability(capability)) {
+      throw new Error(`Missing capability ${capability}`);
+    }
+    this._capabilities[capability] = value;
+  }
+
+  getAvailable() {
+    return this._available;
+  }
+
+  async setAvailable() {
+    this._available = true;
+  }
+
+  async setUnavailable(message) {
+    this._available = false;
+    this.unavailableMessage = message;
+  }
+
+  async setWarning(message) {
+    this.warning = message;
+  }
+
+  async unsetWarning() {
+    this.warning = null;
+  }
+
+}
+
+class Driver extends SimpleClass {}
+
+class App extends SimpleClass {
+
+  constructor({ homey = createHomey() } = {}) {
+    super();
+    this.homey = homey;
+    homey.app = this;
+  }
+
+}
+
+module.exports = { Device, Driver, App, env: {}, createHomey };
@@ -0,0 +1,277 @@
+'use strict';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const BibliotheekAPI = require('../lib/BibliotheekAPI');
+const LoanModel = require('../lib/LoanModel');
+const { AuthenticationError, SessionExpiredError, ParseError } = require('../lib/BibliotheekErrors');
+const MockBibliotheekServer = require('../mock-server/server');
+const { createHomey } = require('./helpers/homey');
+const LibraryAccountDevice = require('../drivers/library-account/device');
+
+const EMAIL = 'lener@example.com';
+const PASSWORD = 'geheim';
+
+const ACCOUNT_SETTINGS = {
+  username: EMAIL,
+  password: PASSWORD,
+  poll_interval: 30,
+  adaptive_polling: true,
+  poll_align_opening_hours: false,
+  warning_threshold: 7,
+  reminder_cadence: 'once',
+  reminder_milestones: '7,3,1,0',
+  auto_extend_enabled: false,
+  auto_extend_days: 3,
+  auto_extend_excluded_types: '',
+  auto_extend_only_if_all: false,
+  auto_extend_last: '-'
+};
+
+const ACCOUNT_CAPABILITIES = [
+  'days_remaining', 'loan_count', 'reservation_count', 'loans_expiring_soon',
+  'some_not_extendable', 'open_amount', 'next_library_visit', 'data_age_hours'
+];
+
+/**
+ * Run the tests of a suite against a mock server with the given scenario
+ * @param {string} scenario - Scenario name
+ * @returns {Object} { server, createClient() }, filled in before the tests run
+ */
+function useScenario(scenario) {
+  const context = {};
+
+  before(async () => {
+    context.server = new MockBibliotheekServer({ scenario });
+    const baseUrl = await context.server.start();
+    context.createClient = () => new BibliotheekAPI({ log: () => {} }, null, { baseUrl });
+  });
+
+  after(() => context.server.stop());
+
+  return context;
+}
+
+describe('default scenario', () => {
+  const context = useScenario('default');
+
+  it('logs in through the OAuth redirect chain and fetches everything', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+
+    assert.equal(api.authenticated, true);
+    assert.deepEqual(context.server.requests.slice(0, 6), [
+      'GET /mijn-bibliotheek/aanmelden',
+      'GET /openbibid/oauth/authorize',
+      'POST /openbibid/rest/auth/login',
+      'GET /my-library/login/callback',
+      'POST /openbibid/rest/accessToken',
+      'GET /mijn-bibliotheek/lidmaatschappen'
+    ]);
+
+    assert.deepEqual(Object.keys(data.userDetails), ['100001', '100002']);
+    assert.equal(data.loans.length, 5);
+    assert.equal(data.reservations.length, 2);
+    assert.equal(Object.keys(data.userDetails['100001'].loanDetails).length, 5);
+    assert.equal(Object.keys(data.userDetails['100001'].reservationDetails).length, 2);
+    assert.equal(data.userDetails['100002'].loanDetails, undefined);
+    assert.equal(data.userLists['123456'].items.length, 2);
+    assert.equal(api.parserHealth.loans.ok, true);
+  });
+
+  it('merges the overview and the loans page into one loan per copy', async () => {
+    const data = await context.createClient().refreshAllData(EMAIL, PASSWORD);
+    const loans = LoanModel.merge(data, BibliotheekAPI);
+
+    assert.equal(loans.length, 5);
+    assert.equal(new Set(loans.map(loan => loan.id)).size, 5);
+    assert.deepEqual(loans.filter(loan => loan.isExtendable).map(loan => loan.extendLoanId), ['1111111', '2222222', '2222222']);
+  });
+
+  it('reuses the session of a previous login', async () => {
+    const api = context.createClient();
+    await api.login(EMAIL, PASSWORD);
+
+    const restored = context.createClient();
+    restored.restoreSession(api.serializeSession());
+    const requests = context.server.requests.length;
+    await restored.refreshAllData(EMAIL, PASSWORD);
+
+    assert.equal(context.server.requests.slice(requests).includes('POST /openbibid/rest/auth/login'), false);
+  });
+
+  it('extends loans through the extension form', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+    const results = await api.extendLoans(data.userDetails['100001'].loans.url, ['1111111', '2222222']);
+
+    assert.deepEqual(results.map(result => result.status), ['extended', 'refused']);
+    assert.equal(results[0].newDueDate, '26/11/2026');
+  });
+
+  it('fetches the library page and loan history from the memberships links', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+    const libraryUrl = data.userDetails['100001'].accountDetails.library;
+
+    const library = await api.getLibraryDetails(libraryUrl);
+    assert.equal(library.hours.maandag.length, 2);
+
+    const history = await api.getLoanHistory(data.userDetails['100001'].loans.historyUrl);
+    assert.equal(history.length, 2);
+  });
+
+  it('keeps the loan ids when the loans page cannot be read on the next refresh', async () => {
+    const api = context.createClient();
+    const first = await api.refreshAllData(EMAIL, PASSWORD);
+    const ids = LoanModel.merge(first, BibliotheekAPI).map(loan => loan.id);
+
+    // Details from yesterday are fetched again, and that fails
+    first.userDetails['100001'].loanDetailsUpdated = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000).toISOString();
+    api.getLoanDetails = async () => {
+      throw new Error('Service unavailable');
+    };
+    const second = await api.refreshAllData(EMAIL, PASSWORD, first);
+
+    assert.equal(second.userDetails['100001'].loanDetailsFailed, true);
+    assert.deepEqual(LoanModel.merge(second, BibliotheekAPI).map(loan => loan.id), ids);
+  });
+
+  it('throws instead of returning library details without a schedule', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+    const libraryUrl = data.userDetails['100001'].accountDetails.library;
+
+    api._request = async () => new Response('<p>Pagina niet gevonden</p>', { status: 404 });
+    await assert.rejects(api.getLibraryDetails(libraryUrl), /404/);
+
+    api._request = async () => new Response('<p>Even geduld, we voeren onderhoud uit</p>');
+    await assert.rejects(api.getLibraryDetails(libraryUrl), ParseError);
+    assert.equal(api.parserHealth.library.ok, false);
+  });
+
+  it('refuses a wrong password', async () => {
+    await assert.rejects(context.createClient().login(EMAIL, 'verkeerd'), AuthenticationError);
+  });
+});
+
+describe('account device', () => {
+  const context = useScenario('default');
+  const homey = createHomey();
+  let device = null;
+
+  before(async () => {
+    const client = context.createClient();
+    homey.app = {
+      getClient: () => client,
+      runExclusive: (key, task) => task(),
+      refresh: (key, task) => task()
+    };
+
+    device = new LibraryAccountDevice({
+      homey,
+      data: { id: EMAIL },
+      settings: ACCOUNT_SETTINGS,
+      store: { provider: BibliotheekAPI.id },
+      capabilities: ACCOUNT_CAPABILITIES
+    });
+    await device.onInit();
+  });
+
+  after(() => homey.clearTimers());
+
+  it('fills the capabilities and fires the triggers on a refresh', async () => {
+    assert.equal(await device.refreshData(), true);
+
+    assert.equal(device.getAvailable(), true);
+    assert.equal(device.getCapabilityValue('loan_count'), 5);
+    assert.equal(device.getCapabilityValue('reservation_count'), 2);
+    assert.equal(device.getCapabilityValue('some_not_extendable'), true);
+    assert.equal(device.getCapabilityValue('open_amount'), 1.5);
+    assert.equal(device.getCapabilityValue('data_age_hours'), 0);
+    assert.ok(device.getCapabilityValue('days_remaining') < 0);
+
+    const triggered = homey.triggered.map(trigger => `${trigger.id} ${trigger.tokens.book_title}`);
+    assert.ok(triggered.includes('loan_expired Te laat'));
+    assert.ok(triggered.includes('reservation_ready Klaar boek'));
+    assert.ok(triggered.includes('reservation_pickup_expiring Klaar boek'));
+    assert.ok(device.getStoreValue('lastData'));
+    assert.ok(device.getStoreValue('session'));
+  });
+
+  it('fires nothing again when the next refresh finds the same state', async () => {
+    const fired = homey.triggered.length;
+    assert.equal(await device.refreshData(), true);
+
+    assert.equal(homey.triggered.length, fired);
+  });
+});
+
+describe('expired-session scenario', () => {
+  const context = useScenario('expired-session');
+
+  it('logs in again when the session expires during a refresh', async () => {
+    const api = context.createClient();
+    await api.refreshAllData(EMAIL, PASSWORD);
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+
+    const logins = context.server.requests.filter(request => request === 'POST /openbibid/rest/auth/login');
+    assert.equal(logins.length, 2);
+    assert.equal(Object.keys(data.userDetails).length, 2);
+  });
+
+  it('reports an expired session on the loan history page', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+    const historyUrl = data.userDetails['100001'].loans.historyUrl;
+
+    // Use up the session, the history page must not parse the login page as an empty history
+    await assert.rejects(async () => {
+      for (let request = 0; request < 12; request++) {
+        await api.getLoanHistory(historyUrl, [], 1);
+      }
+    }, SessionExpiredError);
+    assert.equal(api.authenticated, false);
+  });
+});
+
+describe('refused-extension scenario', () => {
+  const context = useScenario('refused-extension');
+
+  it('reports the refusal shown instead of the form', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+    const results = await api.extendLoans(data.userDetails['100001'].loans.url, ['1111111']);
+
+    assert.equal(results[0].status, 'refused');
+    assert.match(results[0].reason, /gereserveerd door een andere lener/);
+    assert.equal(api.parserHealth.extend, undefined);
+  });
+});
+
+describe('server-errors scenario', () => {
+  const context = useScenario('server-errors');
+
+  it('retries requests that failed with a 5xx status', async () => {
+    const data = await context.createClient().refreshAllData(EMAIL, PASSWORD);
+
+    assert.equal(data.loans.length, 5);
+    assert.equal(context.server.requests.filter(request => request === 'GET /api/my-library/memberships').length, 2);
+    assert.equal(context.server.requests.filter(request => request === 'GET /my-library-overview-loans').length, 2);
+  });
+});
+
+describe('changed-markup scenario', () => {
+  const context = useScenario('changed-markup');
+
+  it('flags the loans parser when the page no longer matches', async () => {
+    const api = context.createClient();
+    const data = await api.refreshAllData(EMAIL, PASSWORD);
+
+    assert.deepEqual(data.userDetails['100001'].loanDetails, {});
+    assert.equal(data.userDetails['100001'].loanDetailsFailed, true);
+    assert.equal(api.parserHealth.loans.ok, false);
+    assert.equal(api.parserHealth.loans.selector, '.my-library-user-library-account-loans__loan-wrapper');
+  });
+});
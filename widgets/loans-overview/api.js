@@ -1,5 +1,8 @@
 'use strict';
 
+const OpeningHours = require('../../lib/OpeningHours');
+const LoanDates = require('../../lib/LoanDates');
+
 module.exports = {
   async getLoans({ homey, query }) {
     const deviceId = query.deviceId;
@@ -38,6 +41,9 @@ module.exports = {
       const loans = [];
       const { userDetails } = storedData;
 
+      // Days remaining were scraped on the day of the last update
+      const daysSinceUpdate = storedData.lastUpdated ? OpeningHours.daysSince(storedData.lastUpdated) : 0;
+
       for (const [userId, user] of Object.entries(userDetails || {})) {
         const userName = user.accountDetails?.userName || 'Unknown';
         const libraryName = user.accountDetails?.libraryName || 'Unknown';
@@ -48,7 +54,7 @@ module.exports = {
             loans.push({
               title: loan.title || 'Unknown',
               author: loan.author || '',
-              daysRemaining: loan.daysRemaining ?? 0,
+              daysRemaining: LoanDates.daysLeft(loan.daysRemaining, loan.loanTill, daysSinceUpdate), // null if unknown
               userName,
               libraryName: loan.library || libraryName,
               isExtendable: loan.isExtendable !== false,
@@ -61,8 +67,8 @@ module.exports = {
         }
       }
 
-      // Sort by days remaining (urgent first)
-      loans.sort((a, b) => a.daysRemaining - b.daysRemaining);
+      // Sort by days remaining (urgent first, unknown last)
+      loans.sort((a, b) => LoanDates.compareDaysLeft(a.daysRemaining, b.daysRemaining));
 
       return {
         loans,